@@ -6,11 +6,66 @@ class BodyMeasurementApp {
     constructor() {
         this.userHeight = null;
         this.currentMeasurements = null;
+        this.currentPhoto = null;
         this.poseDetector = null;
         this.camera = null;
         this.storage = null;
         this.canvasRenderer = null;
         this.measurementCalculator = null;
+        this.circumferenceEstimator = null;
+        
+        // Front + side girth capture workflow
+        this.girthCapture = null;
+        
+        // Front + side posture screen
+        this.postureAssessor = new PostureAssessor();
+        this.postureCapture = null;
+        this.currentPosture = null;
+        
+        // Scale calibration: 'height' or 'reference'
+        this.scaleMode = 'height';
+        this.referenceScaleCalibrator = new ReferenceScaleCalibrator();
+        this.pendingReferencePhoto = null;
+        
+        // Manual landmark correction on the analysis canvas
+        this.landmarkEditor = new LandmarkEditor();
+        
+        // Kit size charts and recommendations
+        this.sizeCharts = new SizeCharts();
+        
+        // Side-on pedalling analysis for bike fits
+        this.bikeFitAnalyzer = new BikeFitAnalyzer();
+        this.bikeFitFrameInFlight = false;
+        this.currentBikeFit = null;
+        
+        // Youth maturity offset from athlete details
+        this.maturityCalculator = new MaturityCalculator();
+
+        // BMI, waist-to-height and proportion indices
+        this.bodyIndexCalculator = new BodyIndexCalculator();
+        
+        // Segment lengths: '2d' from the photo or '3d' from world landmarks
+        this.measurementMode = '2d';
+        
+        // Protocol: 'standing' or 'seated' (upper body, scaled from sitting height)
+        this.measurementPosture = 'standing';
+        
+        // What a capture measures: 'segments' or 'rom' (joint angles)
+        this.analysisMode = 'segments';
+        this.rangeOfMotionCalculator = new RangeOfMotionCalculator();
+        this.romSession = { captures: [] };
+        
+        // Live pose check before capture: 'off', 'gate' or 'auto'
+        this.poseQualityChecker = new PoseQualityChecker();
+        this.poseGate = {
+            mode: 'gate',
+            timer: null,
+            paused: false,
+            inFlight: null,
+            evaluation: null,
+            passedSince: null,
+            autoCaptureArmed: true
+        };
         
         // Athletic test components
         this.currentTest = null;
@@ -20,7 +75,8 @@ class BodyMeasurementApp {
         this.athleticTests = {
             'broad-jump': new BroadJumpTest(),
             'sprint': new SprintTest(),
-            'kick': new KickTest()
+            'kick': new KickTest(),
+            'vertical-jump': new VerticalJumpTest()
         };
         this.isFrameLoopRunning = false;
         
@@ -36,6 +92,7 @@ class BodyMeasurementApp {
             this.storage = new MeasurementStorage();
             this.canvasRenderer = new CanvasRenderer();
             this.measurementCalculator = new MeasurementCalculator();
+            this.circumferenceEstimator = new CircumferenceEstimator();
             this.camera = new CameraController();
             this.poseDetector = new PoseDetector();
             this.dataExporter.setStorage(this.storage);
@@ -46,8 +103,44 @@ class BodyMeasurementApp {
             // Load saved height
             this.loadSavedHeight();
 
+            // Load saved asymmetry threshold
+            this.loadAsymmetryThreshold();
+
+            // Load saved growth spurt threshold
+            this.loadGrowthThreshold();
+
+            // Load saved scale calibration mode
+            this.loadScaleSettings();
+
+            // Load saved 2D/3D measurement mode
+            this.loadMeasurementMode();
+
+            // Load saved pose check mode
+            this.loadPoseGateMode();
+
+            // Load saved segment/joint angle mode
+            this.loadAnalysisMode();
+
+            // Load saved standing/seated protocol
+            this.loadMeasurementPosture();
+
+            // Load saved camera tilt correction
+            this.loadPerspectiveSettings();
+
+            // Load norm tables and the athlete's sex and age
+            this.loadNormSettings();
+
+            // Load athlete name, date of birth, body mass and sitting height
+            this.loadAthleteDetails();
+
+            // Load imported size charts
+            this.loadSizeCharts();
+
             // Load saved measurements
             this.displaySavedResults();
+            this.displayRomSessions();
+            this.displayPostureHistory();
+            this.displayBikeFitHistory();
             
             // Initialize athletic tests
             this.initializeAthleticTests();
@@ -77,6 +170,117 @@ class BodyMeasurementApp {
             }
         });
 
+        // Scale calibration mode
+        document.getElementById('scale-mode-select').addEventListener('change', (e) => {
+            this.setScaleMode(e.target.value);
+        });
+
+        document.getElementById('reference-object-select').addEventListener('change', () => {
+            this.saveReferenceObjectSettings();
+        });
+
+        document.getElementById('reference-length-input').addEventListener('change', () => {
+            this.saveReferenceObjectSettings();
+        });
+
+        // Norm tables
+        document.getElementById('norm-sex-select').addEventListener('change', () => {
+            this.saveNormProfile();
+        });
+
+        document.getElementById('norm-age-input').addEventListener('change', () => {
+            this.saveNormProfile();
+        });
+
+        document.getElementById('load-norms-btn').addEventListener('click', () => {
+            document.getElementById('norms-file-input').click();
+        });
+
+        document.getElementById('norms-file-input').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.loadNormTablesFromFile(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+
+        // Athlete details for maturity
+        ['athlete-name-input', 'athlete-dob-input', 'athlete-mass-input', 'athlete-sitting-height-input', 'athlete-leg-length-input'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.saveAthleteDetails();
+            });
+        });
+
+        // Kit sizes
+        document.getElementById('kit-chart-select').addEventListener('change', (e) => {
+            this.storage.saveSettings({ kitChartId: e.target.value });
+            this.displayKitSizes();
+        });
+
+        document.getElementById('import-charts-btn').addEventListener('click', () => {
+            document.getElementById('charts-file-input').click();
+        });
+
+        document.getElementById('charts-file-input').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.loadSizeChartsFromFile(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+
+        document.getElementById('export-order-btn').addEventListener('click', () => {
+            this.exportTeamOrderSheet();
+        });
+
+        // Bike fit
+        document.getElementById('bike-fit-record-btn').addEventListener('click', () => {
+            this.toggleBikeFitRecording();
+        });
+
+        document.getElementById('save-bike-fit-btn').addEventListener('click', () => {
+            this.saveCurrentBikeFit();
+        });
+
+        // 2D/3D segment lengths
+        document.getElementById('measurement-mode-select').addEventListener('change', (e) => {
+            this.setMeasurementMode(e.target.value);
+        });
+
+        // Standing or seated protocol
+        document.getElementById('measurement-posture-select').addEventListener('change', (e) => {
+            this.setMeasurementPosture(e.target.value);
+        });
+
+        // Camera tilt correction
+        document.getElementById('perspective-mode-select').addEventListener('change', (e) => {
+            this.setPerspectiveMode(e.target.value);
+        });
+
+        ['camera-height-input', 'camera-distance-input'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.saveCameraPosition();
+            });
+        });
+
+        // Segment lengths or joint angles
+        document.getElementById('analysis-mode-select').addEventListener('change', (e) => {
+            this.setAnalysisMode(e.target.value);
+        });
+
+        document.getElementById('save-rom-btn').addEventListener('click', () => {
+            this.saveRomSession();
+        });
+
+        document.getElementById('new-rom-btn').addEventListener('click', () => {
+            this.newRomSession();
+        });
+
+        document.getElementById('rom-sessions-list').addEventListener('click', (e) => {
+            const button = e.target.closest('.saved-result-delete');
+            if (button) {
+                this.deleteRomSession(button.dataset.sessionId);
+            }
+        });
+
         // Camera controls
         document.getElementById('start-camera-btn').addEventListener('click', () => {
             this.startCamera();
@@ -86,11 +290,72 @@ class BodyMeasurementApp {
             this.capturePhoto();
         });
 
+        document.getElementById('girth-capture-btn').addEventListener('click', () => {
+            this.toggleGirthCapture();
+        });
+
+        document.getElementById('burst-capture-btn').addEventListener('click', () => {
+            this.captureBurst();
+        });
+
+        document.getElementById('moving-capture-btn').addEventListener('click', () => {
+            this.captureMovingMeasurement();
+        });
+
+        document.getElementById('posture-capture-btn').addEventListener('click', () => {
+            this.togglePostureCapture();
+        });
+
+        document.getElementById('save-posture-btn').addEventListener('click', () => {
+            this.saveCurrentPosture();
+        });
+
+        // Manual landmark correction
+        document.getElementById('edit-landmarks-btn').addEventListener('click', () => {
+            this.toggleLandmarkEditing();
+        });
+
+        document.getElementById('reset-landmarks-btn').addEventListener('click', () => {
+            this.resetLandmarkEdits();
+        });
+
+        // Photo upload and drag-and-drop
+        document.getElementById('upload-photo-btn').addEventListener('click', () => {
+            document.getElementById('photo-file-input').click();
+        });
+
+        document.getElementById('photo-file-input').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.measurePhotoFile(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+
+        this.setupPhotoDropZone(document.querySelector('.camera-section'));
+
+        document.getElementById('pose-gate-select').addEventListener('change', (e) => {
+            this.setPoseGateMode(e.target.value);
+        });
+
+        // Asymmetry threshold
+        document.getElementById('asymmetry-threshold-input').addEventListener('change', () => {
+            this.saveAsymmetryThreshold();
+        });
+
+        // Growth spurt threshold
+        document.getElementById('growth-threshold-input').addEventListener('change', () => {
+            this.saveGrowthThreshold();
+        });
+
         // Results actions
         document.getElementById('save-results-btn').addEventListener('click', () => {
             this.saveCurrentResults();
         });
 
+        document.getElementById('export-bvh-btn').addEventListener('click', () => {
+            this.exportSkeleton();
+        });
+
         document.getElementById('clear-results-btn').addEventListener('click', () => {
             this.clearCurrentResults();
         });
@@ -99,6 +364,14 @@ class BodyMeasurementApp {
             this.clearAllSavedResults();
         });
 
+        document.getElementById('export-measurements-json-btn').addEventListener('click', () => {
+            this.exportMeasurements('json');
+        });
+
+        document.getElementById('export-measurements-csv-btn').addEventListener('click', () => {
+            this.exportMeasurements('csv');
+        });
+
         // Modal controls
         document.getElementById('close-error-btn').addEventListener('click', () => {
             this.hideError();
@@ -110,7 +383,8 @@ class BodyMeasurementApp {
         // Camera event listeners
         this.camera.onCameraReady = () => {
             this.updateCameraStatus('Camera ready - Position yourself for a full body shot');
-            document.getElementById('capture-btn').disabled = false;
+            this.updateCaptureButtons();
+            this.startPoseGuidance();
         };
 
         this.camera.onCameraError = (error) => {
@@ -228,6 +502,20 @@ class BodyMeasurementApp {
         if (!this.currentTest) return;
         
         const canvas = document.getElementById('analysis-canvas');
+
+        // The vertical jump is scaled from the athlete's height instead of lines
+        if (this.currentTestType === 'vertical-jump') {
+            this.currentTest.bodyHeight = this.userHeight;
+            this.currentTest.bodyMass = this.getAthleteDetails().bodyMass;
+
+            try {
+                this.currentTest.startCalibration(canvas);
+            } catch (error) {
+                this.showError(`${error.message}. Please enter your height first.`);
+            }
+            return;
+        }
+
         this.currentTest.startCalibration(canvas);
         
         this.updateCalibrationStatus('Calibrating - click points on image...');
@@ -283,6 +571,7 @@ class BodyMeasurementApp {
      */
     startFrameLoop() {
         this.isFrameLoopRunning = true;
+        this.pausePoseGuidance();
         
         this.camera.startFrameLoop((frameData) => {
             if (!this.isFrameLoopRunning || !this.currentTest.isRunning) return;
@@ -302,6 +591,7 @@ class BodyMeasurementApp {
     stopFrameLoop() {
         this.isFrameLoopRunning = false;
         this.camera.stopFrameLoop();
+        this.resumePoseGuidance();
     }
     
     /**
@@ -380,6 +670,19 @@ class BodyMeasurementApp {
                 document.getElementById('flight-time').textContent = 
                     results.flightTime ? `${results.flightTime.toFixed(3)} s` : '-';
                 break;
+
+            case 'vertical-jump':
+                document.getElementById('jump-height-flight').textContent =
+                    results.jumpHeightFlight ? `${results.jumpHeightFlight.toFixed(1)} cm` : '-';
+                document.getElementById('jump-height-hip').textContent =
+                    results.jumpHeightHip ? `${results.jumpHeightHip.toFixed(1)} cm` : '-';
+                document.getElementById('vertical-flight-time').textContent =
+                    results.flightTime ? `${results.flightTime.toFixed(3)} s` : '-';
+                document.getElementById('countermovement-depth').textContent =
+                    results.countermovementDepth ? `${results.countermovementDepth.toFixed(1)} cm` : '-';
+                document.getElementById('peak-power').textContent =
+                    results.peakPower ? `${Math.round(results.peakPower)} W` : 'Add body mass';
+                break;
         }
     }
     
@@ -497,6 +800,8 @@ class BodyMeasurementApp {
                 return `Total: ${result.totalTime?.toFixed(2) || '-'} s, Max Speed: ${result.maxSpeed?.toFixed(1) || '-'} m/s`;
             case 'kick':
                 return `Speed: ${result.ballSpeed?.toFixed(1) || '-'} m/s (${result.ballSpeedKmh?.toFixed(1) || '-'} km/h)`;
+            case 'vertical-jump':
+                return `Height: ${result.jumpHeightFlight?.toFixed(1) || '-'} cm (hips ${result.jumpHeightHip?.toFixed(1) || '-'} cm), Power: ${result.peakPower ? Math.round(result.peakPower) : '-'} W`;
             default:
                 return 'Test completed';
         }
@@ -585,195 +890,2466 @@ class BodyMeasurementApp {
     }
 
     /**
-     * Start camera
+     * Load saved growth spurt threshold from settings
      */
-    async startCamera() {
-        try {
-            this.updateCameraStatus('Starting camera...');
-            await this.camera.startCamera();
-            document.getElementById('start-camera-btn').style.display = 'none';
-        } catch (error) {
-            this.showError(`Failed to start camera: ${error.message}`);
+    loadGrowthThreshold() {
+        const threshold = this.storage.getSettings().growthSpurtThreshold;
+        if (threshold) {
+            this.measurementCalculator.growthSpurtThreshold = threshold;
+            document.getElementById('growth-threshold-input').value = threshold;
         }
     }
 
     /**
-     * Capture photo and process
+     * Save growth spurt threshold and re-flag the growth history
      */
-    async capturePhoto() {
-        if (!this.userHeight) {
-            this.showError('Please enter your height first');
+    saveGrowthThreshold() {
+        const input = document.getElementById('growth-threshold-input');
+        const threshold = parseFloat(input.value);
+
+        if (!threshold || threshold <= 0 || threshold > 30) {
+            this.showError('Please enter a growth spurt threshold between 0-30 cm/year');
+            input.value = this.measurementCalculator.growthSpurtThreshold;
             return;
         }
 
-        try {
-            this.showLoading();
-            this.updateCameraStatus('Capturing photo...');
-            
-            const imageData = this.camera.capturePhoto();
-            this.updateAnalysisStatus('Analyzing pose...');
-            
-            await this.poseDetector.detectPose(imageData);
-        } catch (error) {
-            this.hideLoading();
-            this.showError(`Failed to capture photo: ${error.message}`);
+        this.measurementCalculator.growthSpurtThreshold = threshold;
+        this.storage.saveSettings({ growthSpurtThreshold: threshold });
+        this.displayGrowthVelocity(this.getAthleteHistory(this.storage.getSavedMeasurements()));
+    }
+
+    /**
+     * Load saved asymmetry threshold from settings
+     */
+    loadAsymmetryThreshold() {
+        const threshold = this.storage.getSettings().asymmetryThreshold;
+        if (threshold) {
+            this.measurementCalculator.asymmetryThreshold = threshold;
+            document.getElementById('asymmetry-threshold-input').value = threshold;
         }
     }
 
     /**
-     * Handle pose detection results
+     * Save asymmetry threshold and re-flag current results
      */
-    handlePoseDetectionResults(results, imageData) {
-        this.hideLoading();
+    saveAsymmetryThreshold() {
+        const input = document.getElementById('asymmetry-threshold-input');
+        const threshold = parseFloat(input.value);
 
-        if (!results.poseLandmarks || results.poseLandmarks.length === 0) {
-            this.showError('No pose detected. Please ensure you are fully visible in the photo and try again.');
+        if (!threshold || threshold <= 0 || threshold > 50) {
+            this.showError('Please enter an asymmetry threshold between 0-50 %');
+            input.value = this.measurementCalculator.asymmetryThreshold;
             return;
         }
 
-        try {
-            // Check if we're running an athletic test
-            if (this.isFrameLoopRunning && this.currentTest && this.currentTest.isRunning) {
-                // Process frame for athletic test
-                const scale = this.getScaleFromCurrentMeasurement();
-                if (scale) {
-                    this.currentTest.processFrame(results.poseLandmarks, performance.now(), scale, imageData);
-                }
-            } else {
-                // Regular body measurement processing
-                this.currentMeasurements = this.measurementCalculator.calculateMeasurements(
-                    results.poseLandmarks,
-                    this.userHeight,
-                    imageData.width,
-                    imageData.height
-                );
-
-                // Render pose on canvas
-                this.canvasRenderer.renderPoseResults(
-                    imageData,
-                    results.poseLandmarks,
-                    this.currentMeasurements
-                );
-
-                // Display measurements
-                this.displayMeasurements();
-                this.updateAnalysisStatus('Analysis complete! Your measurements are shown below.');
-                
-                // Enable save button
-                document.getElementById('save-results-btn').disabled = false;
-            }
+        this.measurementCalculator.asymmetryThreshold = threshold;
+        this.storage.saveSettings({ asymmetryThreshold: threshold });
 
-        } catch (error) {
-            console.error('Error processing pose results:', error);
-            this.showError('Failed to process pose detection results. Please try again.');
+        if (this.currentMeasurements?.bilateral) {
+            this.currentMeasurements.asymmetry = this.measurementCalculator.calculateAsymmetry(
+                this.currentMeasurements.bilateral.left,
+                this.currentMeasurements.bilateral.right
+            );
+            this.displayAsymmetryReport();
         }
     }
-    
+
     /**
-     * Get scale from current measurement for athletic tests
+     * Load saved scale calibration settings
      */
-    getScaleFromCurrentMeasurement() {
-        if (this.currentMeasurements) {
-            return MeasurementCalculator.getScaleFromMeasurement(this.currentMeasurements);
-        }
-        
-        // Try to get from most recent saved measurement
-        const savedMeasurements = this.storage.getSavedMeasurements();
-        if (savedMeasurements.length > 0) {
-            return MeasurementCalculator.getScaleFromMeasurement(savedMeasurements[0]);
+    loadScaleSettings() {
+        const settings = this.storage.getSettings();
+        const objectSelect = document.getElementById('reference-object-select');
+        const referenceObjects = ReferenceScaleCalibrator.getReferenceObjects();
+
+        objectSelect.innerHTML = Object.keys(referenceObjects).map(type => {
+            const object = referenceObjects[type];
+            const size = object.lengthCm ? ` - ${object.lengthCm} cm` : '';
+            return `<option value="${type}">${object.label}${size}</option>`;
+        }).join('');
+
+        if (settings.referenceObject && referenceObjects[settings.referenceObject]) {
+            objectSelect.value = settings.referenceObject;
         }
-        
-        // Fallback: create basic scale from user height
-        if (this.userHeight) {
-            return {
-                pxPerCm: 5, // Rough estimate
-                cmPerPx: 0.2,
-                pxPerM: 500,
-                imageWidth: 640,
-                imageHeight: 480
-            };
+        if (settings.customReferenceLength) {
+            document.getElementById('reference-length-input').value = settings.customReferenceLength;
         }
-        
-        return null;
+
+        document.getElementById('scale-mode-select').value = settings.scaleMode || 'height';
+        this.setScaleMode(settings.scaleMode || 'height');
     }
 
     /**
-     * Display current measurements
+     * Switch between height and reference-object scaling
      */
-    displayMeasurements() {
-        if (!this.currentMeasurements) return;
-
-        const measurements = this.currentMeasurements.segments;
-        
-        // Update measurement displays
-        document.getElementById('upper-arm-measurement').textContent = 
-            measurements.upperArm ? `${measurements.upperArm.toFixed(1)} cm` : '-';
-        document.getElementById('forearm-measurement').textContent = 
-            measurements.forearm ? `${measurements.forearm.toFixed(1)} cm` : '-';
-        document.getElementById('thigh-measurement').textContent = 
-            measurements.thigh ? `${measurements.thigh.toFixed(1)} cm` : '-';
-        document.getElementById('shin-measurement').textContent = 
-            measurements.shin ? `${measurements.shin.toFixed(1)} cm` : '-';
+    setScaleMode(mode) {
+        this.scaleMode = mode;
+        this.storage.saveSettings({ scaleMode: mode });
 
-        // Add visual indication for available measurements
-        this.updateMeasurementCards();
+        document.getElementById('reference-object-options').style.display = mode === 'reference' ? 'flex' : 'none';
+        this.updateReferenceLengthInput();
+        this.updateCaptureButtons();
     }
 
     /**
-     * Update measurement card styles
+     * Save the chosen reference object
      */
-    updateMeasurementCards() {
-        const cards = document.querySelectorAll('.measurement-card');
-        const measurements = this.currentMeasurements?.segments;
+    saveReferenceObjectSettings() {
+        const customLength = parseFloat(document.getElementById('reference-length-input').value);
 
-        cards.forEach((card, index) => {
-            const segmentNames = ['upperArm', 'forearm', 'thigh', 'shin'];
-            const segmentValue = measurements?.[segmentNames[index]];
-            
-            if (segmentValue && segmentValue > 0) {
-                card.classList.add('has-value');
-            } else {
-                card.classList.remove('has-value');
-            }
+        this.storage.saveSettings({
+            referenceObject: document.getElementById('reference-object-select').value,
+            customReferenceLength: customLength > 0 ? customLength : null
         });
+        this.updateReferenceLengthInput();
     }
 
     /**
-     * Save current measurement results
+     * Show the length input only for custom objects
      */
-    saveCurrentResults() {
-        if (!this.currentMeasurements) {
-            this.showError('No measurements to save');
-            return;
-        }
+    updateReferenceLengthInput() {
+        const isCustom = document.getElementById('reference-object-select').value === 'custom';
+        document.getElementById('reference-length-input').style.display = isCustom ? 'block' : 'none';
+    }
 
-        try {
-            this.storage.saveMeasurement(this.currentMeasurements);
-            this.displaySavedResults();
-            this.updateAnalysisStatus('Measurements saved successfully!');
-            
-            // Briefly disable save button to prevent duplicate saves
-            const saveBtn = document.getElementById('save-results-btn');
-            saveBtn.disabled = true;
-            saveBtn.textContent = 'Saved!';
-            
-            setTimeout(() => {
-                saveBtn.disabled = false;
-                saveBtn.textContent = 'Save Results';
-            }, 2000);
-            
-        } catch (error) {
-            this.showError('Failed to save measurements');
-        }
+    /**
+     * Load saved 2D/3D measurement mode
+     */
+    loadMeasurementMode() {
+        const settings = this.storage.getSettings();
+        this.measurementMode = settings.measurementMode || '2d';
+        document.getElementById('measurement-mode-select').value = this.measurementMode;
     }
 
     /**
-     * Clear current results
+     * Switch between 2D and 3D segment lengths
      */
-    clearCurrentResults() {
-        this.currentMeasurements = null;
-        
-        // Clear measurement displays
+    setMeasurementMode(mode) {
+        this.measurementMode = mode;
+        this.storage.saveSettings({ measurementMode: mode });
+    }
+
+    /**
+     * Get calculateMeasurements options for a pose result
+     */
+    getMeasurementOptions(results, photo = null) {
+        return {
+            worldLandmarks: this.measurementMode === '3d' ? results.poseWorldLandmarks : null,
+            segmentationMask: results.segmentationMaskData || null,
+            posture: this.measurementPosture,
+            sittingHeight: this.getAthleteDetails().sittingHeight,
+            perspective: this.getPerspective(photo)
+        };
+    }
+
+    /**
+     * Get the camera tilt to correct for a photo, or null for no correction
+     * Device mode needs an orientation reading taken with the photo; uploaded photos have none
+     */
+    getPerspective(photo) {
+        const settings = this.storage.getSettings();
+
+        if (this.perspectiveMode === 'device') {
+            const camera = photo && photo.camera ? photo.camera : {};
+            const tiltDegrees = PerspectiveCorrector.getTiltFromOrientation(camera.orientation, camera.facingMode);
+            return tiltDegrees === null ? null : { source: 'device', tiltDegrees: tiltDegrees };
+        }
+
+        if (this.perspectiveMode === 'manual') {
+            const aimHeight = PerspectiveCorrector.getAimHeight(
+                this.measurementPosture,
+                this.userHeight,
+                this.getAthleteDetails().sittingHeight
+            );
+            const tiltDegrees = PerspectiveCorrector.getTiltFromCameraPosition(
+                settings.cameraHeight,
+                settings.cameraDistance,
+                aimHeight
+            );
+            return tiltDegrees === null ? null : {
+                source: 'manual',
+                tiltDegrees: tiltDegrees,
+                cameraHeight: settings.cameraHeight,
+                cameraDistance: settings.cameraDistance,
+                aimHeight: aimHeight
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Load saved camera tilt correction settings
+     */
+    loadPerspectiveSettings() {
+        const settings = this.storage.getSettings();
+        if (settings.cameraHeight) {
+            document.getElementById('camera-height-input').value = settings.cameraHeight;
+        }
+        if (settings.cameraDistance) {
+            document.getElementById('camera-distance-input').value = settings.cameraDistance;
+        }
+
+        const mode = settings.perspectiveMode || 'off';
+        document.getElementById('perspective-mode-select').value = mode;
+        this.setPerspectiveMode(mode);
+    }
+
+    /**
+     * Switch how camera tilt is corrected: off, from device orientation or from camera height and distance
+     */
+    setPerspectiveMode(mode) {
+        this.perspectiveMode = mode;
+        this.storage.saveSettings({ perspectiveMode: mode });
+        document.getElementById('perspective-manual-options').style.display = mode === 'manual' ? 'flex' : 'none';
+    }
+
+    /**
+     * Save the camera height and distance used for manual tilt correction
+     */
+    saveCameraPosition() {
+        const cameraHeight = parseFloat(document.getElementById('camera-height-input').value);
+        const cameraDistance = parseFloat(document.getElementById('camera-distance-input').value);
+
+        this.storage.saveSettings({
+            cameraHeight: cameraHeight > 0 ? cameraHeight : null,
+            cameraDistance: cameraDistance > 0 ? cameraDistance : null
+        });
+    }
+
+    /**
+     * Load saved standing/seated protocol
+     */
+    loadMeasurementPosture() {
+        const settings = this.storage.getSettings();
+        const posture = settings.measurementPosture || 'standing';
+        document.getElementById('measurement-posture-select').value = posture;
+        this.setMeasurementPosture(posture);
+    }
+
+    /**
+     * Switch between the standing and seated protocols
+     */
+    setMeasurementPosture(posture) {
+        this.measurementPosture = posture;
+        this.storage.saveSettings({ measurementPosture: posture });
+        this.updateCaptureModes();
+    }
+
+    /**
+     * Whether the standing A-pose check applies to the current capture
+     */
+    usesPoseCheck() {
+        return this.analysisMode !== 'rom' && this.measurementPosture !== 'seated';
+    }
+
+    /**
+     * Enable the capture modes that suit the analysis mode and protocol
+     * Girths, the posture screen and the pose check assume a standing athlete measured for segments
+     */
+    updateCaptureModes() {
+        const standing = this.usesPoseCheck();
+        document.getElementById('girth-capture-btn').disabled = !standing;
+        document.getElementById('posture-capture-btn').disabled = !standing;
+        document.querySelector('.pose-gate').style.display = standing ? '' : 'none';
+
+        if (standing) {
+            this.startPoseGuidance();
+        } else {
+            this.cancelGirthCapture();
+            this.cancelPostureCapture();
+            this.stopPoseGuidance();
+        }
+        this.updateCaptureButtons();
+    }
+
+    /**
+     * Load saved segment/joint angle mode
+     */
+    loadAnalysisMode() {
+        const settings = this.storage.getSettings();
+        const mode = settings.analysisMode || 'segments';
+        document.getElementById('analysis-mode-select').value = mode;
+        this.setAnalysisMode(mode);
+    }
+
+    /**
+     * Switch between measuring segment lengths and joint angles
+     * The pose check looks for a standing A-pose, so it is off for joint angles
+     */
+    setAnalysisMode(mode) {
+        this.analysisMode = mode;
+        this.storage.saveSettings({ analysisMode: mode });
+
+        const isRom = mode === 'rom';
+        document.querySelector('.results-section').style.display = isRom ? 'none' : '';
+        document.querySelector('.rom-section').style.display = isRom ? '' : 'none';
+        this.updateCaptureModes();
+    }
+
+    /**
+     * Load saved norm tables and norm profile
+     */
+    loadNormSettings() {
+        const customTables = this.storage.getNormTables();
+        if (customTables.length > 0) {
+            try {
+                this.measurementCalculator.normTables.loadTables(customTables);
+            } catch (error) {
+                console.error('Failed to load saved norm tables:', error);
+            }
+        }
+
+        const settings = this.storage.getSettings();
+        document.getElementById('norm-sex-select').value = settings.normSex || '';
+        document.getElementById('norm-age-input').value = settings.normAge || '';
+
+        this.measurementCalculator.normProfile = {
+            sex: settings.normSex || null,
+            age: settings.normAge || null
+        };
+        this.updateNormTableLabel();
+    }
+
+    /**
+     * Save the sex and age used to pick a norm table
+     */
+    saveNormProfile() {
+        const sex = document.getElementById('norm-sex-select').value || null;
+        const age = parseFloat(document.getElementById('norm-age-input').value);
+
+        this.measurementCalculator.normProfile = { sex: sex, age: age > 0 ? age : null };
+        this.storage.saveSettings({ normSex: sex, normAge: age > 0 ? age : null });
+
+        this.updateNormTableLabel();
+        this.revalidateCurrentMeasurements();
+    }
+
+    /**
+     * Load norm tables from a JSON file
+     */
+    async loadNormTablesFromFile(file) {
+        try {
+            const data = JSON.parse(await file.text());
+            const count = this.measurementCalculator.normTables.loadTables(data);
+
+            this.storage.saveNormTables(this.measurementCalculator.normTables.getCustomTables());
+            this.updateNormTableLabel();
+            this.revalidateCurrentMeasurements();
+            this.updateAnalysisStatus(`Loaded ${count} norm table${count === 1 ? '' : 's'} from ${file.name}.`);
+        } catch (error) {
+            console.error('Failed to load norm tables:', error);
+            this.showError(`Failed to load norm tables: ${error.message}`);
+        }
+    }
+
+    /**
+     * Show which norm table is in use
+     */
+    updateNormTableLabel() {
+        const table = this.measurementCalculator.getNormTable();
+        document.getElementById('norm-table-label').textContent = `Using: ${table.label}`;
+    }
+
+    /**
+     * Re-check the current measurement against the selected norm table
+     */
+    revalidateCurrentMeasurements() {
+        if (!this.currentMeasurements) return;
+
+        const table = this.measurementCalculator.getNormTable();
+        this.currentMeasurements.validationWarnings = this.measurementCalculator.validateMeasurements(
+            this.currentMeasurements.segments,
+            this.currentMeasurements.userHeight || this.currentMeasurements.estimatedHeight,
+            table
+        );
+        this.currentMeasurements.normTable = { id: table.id, label: table.label };
+        this.displayValidationWarnings();
+    }
+
+    /**
+     * Load saved athlete details
+     */
+    loadAthleteDetails() {
+        const settings = this.storage.getSettings();
+        document.getElementById('athlete-name-input').value = settings.athleteName || '';
+        document.getElementById('athlete-dob-input').value = settings.athleteDateOfBirth || '';
+        document.getElementById('athlete-mass-input').value = settings.athleteBodyMass || '';
+        document.getElementById('athlete-sitting-height-input').value = settings.athleteSittingHeight || '';
+        document.getElementById('athlete-leg-length-input').value = settings.athleteLegLength || '';
+    }
+
+    /**
+     * Save athlete details; a date of birth also sets the age used for norms
+     */
+    saveAthleteDetails() {
+        const number = (id) => {
+            const value = parseFloat(document.getElementById(id).value);
+            return value > 0 ? value : null;
+        };
+        const dateOfBirth = document.getElementById('athlete-dob-input').value || null;
+
+        this.storage.saveSettings({
+            athleteName: document.getElementById('athlete-name-input').value.trim() || null,
+            athleteDateOfBirth: dateOfBirth,
+            athleteBodyMass: number('athlete-mass-input'),
+            athleteSittingHeight: number('athlete-sitting-height-input'),
+            athleteLegLength: number('athlete-leg-length-input')
+        });
+
+        if (dateOfBirth) {
+            try {
+                document.getElementById('norm-age-input').value = Math.floor(MaturityCalculator.getDecimalAge(dateOfBirth));
+                this.saveNormProfile();
+            } catch (error) {
+                console.error('Invalid date of birth:', error);
+            }
+        }
+
+        if (this.currentMeasurements) {
+            this.currentMeasurements.maturity = null;
+            this.displayMaturityReport();
+            this.displayBodyIndices();
+        }
+        this.displaySavedResults();
+    }
+
+    /**
+     * Narrow saved measurements to the current athlete, when one is named
+     */
+    getAthleteHistory(savedResults) {
+        const athleteName = this.storage.getSettings().athleteName;
+        return athleteName ?
+            savedResults.filter(measurement => measurement.athleteName === athleteName) : savedResults;
+    }
+
+    /**
+     * Load imported size charts and fill the chart picker
+     */
+    loadSizeCharts() {
+        const customCharts = this.storage.getSizeCharts();
+        if (customCharts.length > 0) {
+            try {
+                this.sizeCharts.loadCharts(customCharts);
+            } catch (error) {
+                console.error('Failed to load saved size charts:', error);
+            }
+        }
+
+        this.updateKitChartSelect();
+        this.displayKitSizes();
+    }
+
+    /**
+     * Fill the chart picker, keeping the saved choice
+     */
+    updateKitChartSelect() {
+        const select = document.getElementById('kit-chart-select');
+        const selectedId = this.storage.getSettings().kitChartId;
+
+        select.innerHTML = this.sizeCharts.charts.map(chart => `
+            <option value="${this.escapeHTML(chart.id)}">${this.escapeHTML(chart.brand ? `${chart.brand} - ${chart.label}` : chart.label)}</option>
+        `).join('');
+
+        if (selectedId && this.sizeCharts.getChart(selectedId)) {
+            select.value = selectedId;
+        }
+    }
+
+    /**
+     * Import size charts from a JSON or CSV file
+     */
+    async loadSizeChartsFromFile(file) {
+        try {
+            const text = await file.text();
+            const data = file.name.toLowerCase().endsWith('.csv') ? SizeCharts.parseCSV(text) : JSON.parse(text);
+            const count = this.sizeCharts.loadCharts(data);
+
+            this.storage.saveSizeCharts(this.sizeCharts.getCustomCharts());
+            this.updateKitChartSelect();
+            this.displayKitSizes();
+            this.updateAnalysisStatus(`Loaded ${count} size chart${count === 1 ? '' : 's'} from ${file.name}.`);
+        } catch (error) {
+            console.error('Failed to load size charts:', error);
+            this.showError(`Failed to load size charts: ${error.message}`);
+        }
+    }
+
+    /**
+     * Recommend a size from the selected chart for each athlete's latest measurement
+     */
+    getKitRecommendations() {
+        const chart = this.sizeCharts.getChart(document.getElementById('kit-chart-select').value);
+        if (!chart) return { chart: null, recommendations: [] };
+
+        const recommendations = SizeCharts.getLatestByAthlete(this.storage.getSavedMeasurements())
+            .map(({ athleteName, measurement }) => ({
+                athleteName: athleteName,
+                measurement: measurement,
+                recommendation: this.sizeCharts.recommendSize(chart, SizeCharts.getAthleteDimensions(measurement))
+            }));
+
+        return { chart, recommendations };
+    }
+
+    /**
+     * Display recommended sizes
+     */
+    displayKitSizes() {
+        const container = document.getElementById('kit-list');
+        const { recommendations } = this.getKitRecommendations();
+
+        if (recommendations.length === 0) {
+            container.innerHTML = '<p class="empty-state">Save measurements with an athlete name to recommend sizes</p>';
+            return;
+        }
+
+        const labels = SizeCharts.getDimensionLabels();
+
+        container.innerHTML = `
+            <div class="burst-row">
+                <strong>Athlete</strong><span>Size</span><span>Fit confidence</span><span>Notes</span>
+            </div>
+        ` + recommendations.map(({ athleteName, recommendation }) => {
+            if (!recommendation) {
+                return `
+                    <div class="burst-row flagged">
+                        <strong>${this.escapeHTML(athleteName)}</strong>
+                        <span>-</span><span>-</span>
+                        <span>No measurements this chart uses</span>
+                    </div>
+                `;
+            }
+
+            const notes = [
+                ...Object.keys(recommendation.fits)
+                    .filter(dimension => recommendation.fits[dimension].status !== 'ok')
+                    .map(dimension => `${labels[dimension]} ${recommendation.fits[dimension].status === 'small' ? 'above' : 'below'} range`),
+                ...recommendation.missing.map(dimension => `No ${labels[dimension].toLowerCase()}`)
+            ];
+
+            return `
+                <div class="burst-row ${recommendation.confidence < 0.6 ? 'flagged' : ''}">
+                    <strong>${this.escapeHTML(athleteName)}</strong>
+                    <span>${this.escapeHTML(recommendation.size)}</span>
+                    <span>${Math.round(recommendation.confidence * 100)}%</span>
+                    <span>${notes.join(', ')}</span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Export the team order sheet for the selected chart
+     */
+    exportTeamOrderSheet() {
+        const { chart, recommendations } = this.getKitRecommendations();
+
+        if (!chart || recommendations.length === 0) {
+            this.showError('No saved measurements to size');
+            return;
+        }
+
+        try {
+            this.dataExporter.exportTeamOrderSheet(chart, recommendations);
+        } catch (error) {
+            this.showError('Failed to export order sheet');
+        }
+    }
+
+    /**
+     * Get the athlete details used for maturity
+     */
+    getAthleteDetails() {
+        const settings = this.storage.getSettings();
+        return {
+            sex: settings.normSex || null,
+            dateOfBirth: settings.athleteDateOfBirth || null,
+            bodyMass: settings.athleteBodyMass || null,
+            sittingHeight: settings.athleteSittingHeight || null,
+            legLength: settings.athleteLegLength || null
+        };
+    }
+
+    /**
+     * Calculate maturity for a measurement, or null when details are missing
+     */
+    calculateMaturity(measurements) {
+        const details = this.getAthleteDetails();
+        if (!details.dateOfBirth || !details.sittingHeight || !details.bodyMass) return null;
+
+        try {
+            return this.maturityCalculator.calculateMaturity(
+                details,
+                measurements.userHeight || this.userHeight,
+                measurements.timestamp || Date.now()
+            );
+        } catch (error) {
+            console.warn('Maturity not calculated:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Display maturity for the current measurement
+     */
+    displayMaturityReport() {
+        const report = document.getElementById('maturity-report');
+
+        if (this.currentMeasurements && !this.currentMeasurements.maturity) {
+            this.currentMeasurements.maturity = this.calculateMaturity(this.currentMeasurements);
+        }
+
+        const maturity = this.currentMeasurements?.maturity;
+        if (!maturity) {
+            report.style.display = 'none';
+            return;
+        }
+
+        report.style.display = 'block';
+        document.getElementById('maturity-summary').textContent =
+            `Age ${maturity.age.toFixed(1)} · ${maturity.status}` +
+            (maturity.warnings.length > 0 ? ` · ${maturity.warnings.join('; ')}` : '');
+
+        document.getElementById('maturity-list').innerHTML = [
+            ['Maturity offset', MaturityCalculator.formatOffset(maturity.maturityOffset)],
+            ['Age at PHV', `${maturity.ageAtPHV.toFixed(1)} y`],
+            ['% adult height (rough)', `≈ ${maturity.percentAdultHeight.toFixed(0)}%`],
+            ['Predicted adult height (rough)', `≈ ${maturity.predictedAdultHeight.toFixed(0)} cm`]
+        ].map(([label, value]) => `
+            <div class="burst-row">
+                <strong>${label}</strong>
+                <span>${value}</span>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Calculate body indices for a measurement, or null without a stature
+     * Seated measurements use the typed-in height, if any
+     */
+    calculateBodyIndices(measurements) {
+        const details = this.getAthleteDetails();
+
+        // Age at the measurement, falling back to the age used to pick the norm table
+        const age = details.dateOfBirth ?
+            MaturityCalculator.getDecimalAge(details.dateOfBirth, measurements.timestamp || Date.now()) :
+            this.measurementCalculator.normProfile.age;
+
+        return this.bodyIndexCalculator.calculateIndices({
+            stature: measurements.userHeight || measurements.estimatedHeight || this.userHeight,
+            bodyMass: details.bodyMass,
+            waist: measurements.circumferences ? measurements.circumferences.waist : null,
+            sittingHeight: measurements.sittingHeight || details.sittingHeight,
+            armSpan: measurements.segments ? measurements.segments.armSpan : null,
+            age: age
+        });
+    }
+
+    /**
+     * Display body indices for the current measurement
+     * Recalculated each time so new girths or athlete details are picked up
+     */
+    displayBodyIndices() {
+        const report = document.getElementById('body-indices-report');
+
+        if (this.currentMeasurements) {
+            this.currentMeasurements.bodyIndices = this.calculateBodyIndices(this.currentMeasurements);
+        }
+
+        const bodyIndices = this.currentMeasurements?.bodyIndices;
+        if (!bodyIndices) {
+            report.style.display = 'none';
+            return;
+        }
+
+        const missing = [];
+        if (!bodyIndices.inputs.bodyMass) missing.push('body mass for BMI');
+        if (!bodyIndices.inputs.waist) missing.push('a waist girth for waist-to-height');
+        if (!bodyIndices.inputs.sittingHeight) missing.push('sitting height for proportions');
+
+        report.style.display = 'block';
+        document.getElementById('body-indices-summary').textContent =
+            `From ${bodyIndices.inputs.stature.toFixed(1)} cm stature` +
+            (missing.length > 0 ? `. Add ${missing.join(', ')}.` : '.');
+
+        const labels = BodyIndexCalculator.getIndexLabels();
+        document.getElementById('body-indices-list').innerHTML = Object.keys(labels)
+            .filter(name => bodyIndices.indices[name])
+            .map(name => {
+                const entry = bodyIndices.indices[name];
+
+                return `
+                    <div class="burst-row">
+                        <strong>${labels[name]}</strong>
+                        <span>${BodyIndexCalculator.formatIndex(name, entry.value)}</span>
+                        ${entry.rating ?
+                            `<span class="posture-rating ${entry.rating}">${entry.band}</span>` :
+                            `<span>${entry.band}</span>`}
+                        <span>${BodyIndexCalculator.formatRange(entry.range)}</span>
+                    </div>
+                `;
+            }).join('');
+    }
+
+    /**
+     * Display body index history across saved measurements
+     */
+    displayBodyIndexTrend(savedResults) {
+        const container = document.getElementById('body-indices-trend');
+        const history = BodyIndexCalculator.getHistory(savedResults);
+
+        if (history.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+
+        container.style.display = 'block';
+        document.getElementById('body-indices-trend-list').innerHTML = `
+            <div class="burst-row">
+                <strong>Date</strong><span>BMI</span><span>Waist / height</span><span>Span / height</span>
+            </div>
+        ` + history.map(entry => `
+            <div class="burst-row">
+                <strong>${new Date(entry.timestamp).toLocaleDateString()}</strong>
+                <span>${BodyIndexCalculator.formatIndex('bmi', entry.bmi)}</span>
+                <span>${BodyIndexCalculator.formatIndex('waistToHeight', entry.waistToHeight)}</span>
+                <span>${BodyIndexCalculator.formatIndex('armSpanToHeight', entry.armSpanToHeight)}</span>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Display maturity trend across saved measurements
+     */
+    displayMaturityTrend(savedResults) {
+        const container = document.getElementById('maturity-trend');
+        const trend = this.maturityCalculator.calculateTrend(savedResults);
+
+        if (trend.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+
+        container.style.display = 'block';
+        document.getElementById('maturity-trend-list').innerHTML = `
+            <div class="burst-row">
+                <strong>Date</strong><span>Offset</span><span>Age at PHV</span><span>% adult (rough)</span>
+            </div>
+        ` + trend.map(entry => `
+            <div class="burst-row">
+                <strong>${new Date(entry.timestamp).toLocaleDateString()} (${entry.status})</strong>
+                <span>${MaturityCalculator.formatOffset(entry.maturityOffset)}</span>
+                <span>${entry.ageAtPHV.toFixed(1)} y</span>
+                <span>${entry.percentAdultHeight.toFixed(1)}%</span>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Load saved pose check mode
+     */
+    loadPoseGateMode() {
+        const settings = this.storage.getSettings();
+        const mode = settings.poseGateMode || 'gate';
+        document.getElementById('pose-gate-select').value = mode;
+        this.setPoseGateMode(mode);
+    }
+
+    /**
+     * Switch the live pose check off, to gating the capture buttons, or to auto-capture
+     */
+    setPoseGateMode(mode) {
+        this.poseGate.mode = mode;
+        this.poseGate.evaluation = null;
+        this.poseGate.passedSince = null;
+        this.poseGate.autoCaptureArmed = true;
+        this.storage.saveSettings({ poseGateMode: mode });
+
+        if (mode === 'off') {
+            this.stopPoseGuidance();
+        } else {
+            this.startPoseGuidance();
+        }
+        this.updateCaptureButtons();
+    }
+
+    /**
+     * Start checking the live camera pose
+     */
+    startPoseGuidance() {
+        if (this.poseGate.mode === 'off' || !this.usesPoseCheck() || this.poseGate.timer || !this.camera.stream) return;
+
+        const settings = this.storage.getSettings();
+        const interval = settings.poseCheckIntervalMs || 300;
+
+        const tick = async () => {
+            await this.runPoseCheck();
+            if (this.poseGate.timer) {
+                this.poseGate.timer = setTimeout(tick, interval);
+            }
+        };
+
+        this.poseGate.timer = setTimeout(tick, interval);
+        document.getElementById('pose-checklist').style.display = 'block';
+    }
+
+    /**
+     * Stop checking the live camera pose
+     */
+    stopPoseGuidance() {
+        clearTimeout(this.poseGate.timer);
+        this.poseGate.timer = null;
+        this.poseGate.evaluation = null;
+        document.getElementById('pose-checklist').style.display = 'none';
+    }
+
+    /**
+     * Pause pose checks while something else uses the pose detector
+     * Resolves once any check in progress has finished
+     */
+    pausePoseGuidance() {
+        this.poseGate.paused = true;
+        return this.poseGate.inFlight || Promise.resolve();
+    }
+
+    /**
+     * Resume pose checks after a pause
+     */
+    resumePoseGuidance() {
+        this.poseGate.paused = false;
+    }
+
+    /**
+     * Check the current camera frame and update the checklist
+     */
+    async runPoseCheck() {
+        if (this.poseGate.paused || this.isFrameLoopRunning || !this.camera.stream || !this.poseDetector.isInitialized) {
+            return;
+        }
+
+        try {
+            const frame = this.camera.captureFrame();
+            this.poseGate.inFlight = this.poseDetector.detectPoseForFrame(frame);
+            const results = await this.poseGate.inFlight;
+
+            // Mode may have changed while detection was running
+            if (this.poseGate.mode === 'off') return;
+
+            const evaluation = results.poseLandmarks && results.poseLandmarks.length > 0 ?
+                this.poseQualityChecker.evaluate(results.poseLandmarks, frame.width, frame.height, {
+                    view: this.getPoseCheckView()
+                }) : null;
+
+            this.poseGate.evaluation = evaluation;
+            this.displayPoseChecklist(evaluation);
+            this.updateCaptureButtons();
+            this.checkAutoCapture(evaluation);
+        } catch (error) {
+            console.error('Pose check error:', error);
+        } finally {
+            this.poseGate.inFlight = null;
+        }
+    }
+
+    /**
+     * Get the view the pose check should expect for the photo being taken
+     */
+    getPoseCheckView() {
+        if (this.girthCapture?.step === 'side' || this.postureCapture?.step === 'side') return 'side';
+        return this.postureCapture ? 'posture' : 'front';
+    }
+
+    /**
+     * Take the photo once every check has passed for the hold time
+     * The pose has to fail a check before another auto-capture
+     */
+    checkAutoCapture(evaluation) {
+        if (!evaluation || !evaluation.allPassed) {
+            this.poseGate.passedSince = null;
+            this.poseGate.autoCaptureArmed = true;
+            return;
+        }
+
+        if (this.poseGate.mode !== 'auto' || !this.poseGate.autoCaptureArmed) return;
+
+        const now = performance.now();
+        this.poseGate.passedSince = this.poseGate.passedSince || now;
+
+        const settings = this.storage.getSettings();
+        if (now - this.poseGate.passedSince >= (settings.autoCaptureHoldMs || 1000)) {
+            this.poseGate.autoCaptureArmed = false;
+            this.poseGate.passedSince = null;
+            this.capturePhoto();
+        }
+    }
+
+    /**
+     * Display the pose checklist
+     */
+    displayPoseChecklist(evaluation) {
+        const list = document.getElementById('pose-checklist');
+
+        if (!evaluation) {
+            list.innerHTML = '<li class="pose-check">No person detected - step into view</li>';
+            return;
+        }
+
+        const labels = PoseQualityChecker.getCheckLabels();
+        list.innerHTML = Object.keys(evaluation.checks).map(checkName => {
+            const check = evaluation.checks[checkName];
+
+            return `
+                <li class="pose-check ${check.passed ? 'passed' : ''}">
+                    <strong>${check.passed ? '✓' : '✗'} ${labels[checkName]}</strong>
+                    <span>${check.message}</span>
+                </li>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Enable the capture buttons when the camera is ready and the pose check allows it
+     */
+    updateCaptureButtons() {
+        const cameraReady = !!(this.camera?.stream && this.camera.video.videoWidth);
+
+        // Without a working pose detector the check cannot run, so it does not block capture
+        const gated = this.poseGate.mode !== 'off' && this.usesPoseCheck() && this.poseDetector?.isInitialized;
+        const poseReady = !gated || !!this.poseGate.evaluation?.allPassed;
+
+        document.getElementById('capture-btn').disabled = !cameraReady || !poseReady;
+        // Burst frames are scaled from the height; there is no reference object to click in each one
+        document.getElementById('burst-capture-btn').disabled = !cameraReady || !poseReady ||
+            this.analysisMode === 'rom' || this.scaleMode === 'reference';
+
+        // Moving through poses would never pass the standing pose check
+        document.getElementById('moving-capture-btn').disabled = !cameraReady ||
+            this.analysisMode === 'rom' || this.scaleMode === 'reference';
+    }
+
+    /**
+     * Show the captured photo and wait for the reference object to be clicked
+     */
+    startReferenceScaleCalibration(results, imageData) {
+        const objectType = document.getElementById('reference-object-select').value;
+        const customLength = parseFloat(document.getElementById('reference-length-input').value);
+        const canvas = document.getElementById('analysis-canvas');
+
+        this.canvasRenderer.renderPoseResults(imageData, results.poseLandmarks, null);
+        this.pendingReferencePhoto = { results: results, imageData: imageData };
+
+        this.referenceScaleCalibrator.onCalibrationPoint = (pointNumber, point) => {
+            this.canvasRenderer.drawMarker(point, pointNumber === 1 ? 'Start' : 'End', '#4ECDC4');
+            if (pointNumber === 1) {
+                this.updateAnalysisStatus('Now click the other end of the reference object.');
+            }
+        };
+
+        this.referenceScaleCalibrator.onCalibrationComplete = (calibration) => {
+            this.handleReferenceScaleComplete(calibration);
+        };
+
+        this.referenceScaleCalibrator.onCalibrationError = (message) => {
+            this.canvasRenderer.renderPoseResults(imageData, results.poseLandmarks, null);
+            this.updateAnalysisStatus('Click one end of the reference object in the photo.');
+            this.showError(message);
+        };
+
+        try {
+            this.referenceScaleCalibrator.startCalibration(canvas, objectType, customLength);
+            this.updateAnalysisStatus('Click one end of the reference object in the photo.');
+        } catch (error) {
+            this.pendingReferencePhoto = null;
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Measure the pending photo once the reference object scale is known
+     */
+    handleReferenceScaleComplete(calibration) {
+        if (!this.pendingReferencePhoto) return;
+
+        const { results, imageData } = this.pendingReferencePhoto;
+        this.pendingReferencePhoto = null;
+
+        try {
+            this.currentMeasurements = this.measurementCalculator.calculateMeasurements(
+                results.poseLandmarks,
+                this.userHeight,
+                imageData.width,
+                imageData.height,
+                { ...this.getMeasurementOptions(results, imageData), referenceScale: calibration }
+            );
+            this.currentMeasurements.photoSource = this.getPhotoSource(imageData);
+            this.setCurrentPhoto(imageData, results.poseLandmarks);
+
+            this.canvasRenderer.renderPoseResults(imageData, results.poseLandmarks, this.currentMeasurements);
+
+            const [p1, p2] = calibration.referenceObject.points;
+            this.canvasRenderer.drawGuideLine(p1, p2, `${calibration.referenceObject.lengthCm} cm`, '#4ECDC4');
+
+            this.displayMeasurements();
+
+            const estimatedHeight = this.currentMeasurements.estimatedHeight;
+            this.updateAnalysisStatus(estimatedHeight ?
+                `Analysis complete! Estimated height at this scale: ${estimatedHeight.toFixed(1)} cm.` :
+                'Analysis complete! Your measurements are shown below.');
+
+            document.getElementById('save-results-btn').disabled = false;
+        } catch (error) {
+            console.error('Error measuring with reference scale:', error);
+            this.showError('Failed to measure with the reference object. Please try again.');
+        }
+    }
+
+    /**
+     * Start camera
+     */
+    async startCamera() {
+        try {
+            this.updateCameraStatus('Starting camera...');
+            await this.camera.startCamera();
+            document.getElementById('start-camera-btn').style.display = 'none';
+        } catch (error) {
+            this.showError(`Failed to start camera: ${error.message}`);
+        }
+    }
+
+    /**
+     * Capture photo and process
+     */
+    async capturePhoto() {
+        if (this.needsHeight()) {
+            this.showError(this.getMissingScaleMessage());
+            return;
+        }
+
+        try {
+            this.showLoading();
+            await this.pausePoseGuidance();
+            this.clearCurrentPhoto();
+            this.updateCameraStatus('Capturing photo...');
+            
+            const imageData = this.camera.capturePhoto();
+            this.updateAnalysisStatus('Analyzing pose...');
+            
+            await this.poseDetector.detectPose(imageData);
+        } catch (error) {
+            this.hideLoading();
+            this.showError(`Failed to capture photo: ${error.message}`);
+        } finally {
+            this.resumePoseGuidance();
+        }
+    }
+
+    /**
+     * Check whether a capture needs the user's height before it can be measured
+     * Joint angles and posture are measured in degrees, so they need no scale
+     */
+    needsHeight() {
+        if (this.analysisMode === 'rom' || this.postureCapture) return false;
+        if (this.measurementPosture === 'seated') {
+            return this.scaleMode !== 'reference' && !this.getAthleteDetails().sittingHeight;
+        }
+        if (this.userHeight) return false;
+        return this.scaleMode !== 'reference' || !!this.girthCapture;
+    }
+
+    /**
+     * Prompt for the height a capture is scaled from
+     */
+    getMissingScaleMessage() {
+        return this.measurementPosture === 'seated' ?
+            'Please enter the sitting height in athlete details first' :
+            'Please enter your height first';
+    }
+
+    /**
+     * Accept photos dropped onto an element
+     */
+    setupPhotoDropZone(element) {
+        element.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            element.classList.add('drag-over');
+        });
+
+        element.addEventListener('dragleave', () => {
+            element.classList.remove('drag-over');
+        });
+
+        element.addEventListener('drop', (e) => {
+            e.preventDefault();
+            element.classList.remove('drag-over');
+
+            if (e.dataTransfer.files.length > 0) {
+                this.measurePhotoFile(e.dataTransfer.files[0]);
+            }
+        });
+    }
+
+    /**
+     * Measure from a photo file instead of the live camera
+     */
+    async measurePhotoFile(file) {
+        if (this.needsHeight()) {
+            this.showError(this.getMissingScaleMessage());
+            return;
+        }
+
+        try {
+            this.showLoading();
+            await this.pausePoseGuidance();
+            this.clearCurrentPhoto();
+            this.updateAnalysisStatus(`Loading ${file.name}...`);
+
+            const imageData = await this.camera.loadPhotoFile(file);
+            this.updateAnalysisStatus('Analyzing pose...');
+
+            await this.poseDetector.detectPose(imageData);
+        } catch (error) {
+            this.hideLoading();
+            this.showError(`Failed to load photo: ${error.message}`);
+        } finally {
+            this.resumePoseGuidance();
+        }
+    }
+
+    /**
+     * Remember the photo and landmarks behind the current measurement so they can be edited
+     */
+    setCurrentPhoto(imageData, poseLandmarks, segmentationMask = null) {
+        this.landmarkEditor.stopEditing();
+        this.currentPhoto = {
+            imageData: imageData,
+            landmarks: poseLandmarks,
+            originalLandmarks: poseLandmarks,
+            originalMeasurements: this.currentMeasurements,
+            // Kept so a height scale can be re-derived after the stature landmarks are edited
+            segmentationMask: segmentationMask || null
+        };
+
+        document.getElementById('edit-landmarks-btn').textContent = 'Edit Landmarks';
+        document.getElementById('edit-landmarks-btn').disabled = false;
+        document.getElementById('reset-landmarks-btn').disabled = true;
+    }
+
+    /**
+     * Forget the photo behind the previous measurement
+     */
+    clearCurrentPhoto() {
+        this.landmarkEditor.stopEditing();
+        this.currentPhoto = null;
+
+        document.getElementById('edit-landmarks-btn').textContent = 'Edit Landmarks';
+        document.getElementById('edit-landmarks-btn').disabled = true;
+        document.getElementById('reset-landmarks-btn').disabled = true;
+    }
+
+    /**
+     * Start or finish dragging landmarks on the analysis canvas
+     */
+    toggleLandmarkEditing() {
+        if (!this.currentPhoto || !this.currentMeasurements) return;
+
+        const button = document.getElementById('edit-landmarks-btn');
+
+        if (this.landmarkEditor.isEditing) {
+            this.landmarkEditor.stopEditing();
+            button.textContent = 'Edit Landmarks';
+            this.updateAnalysisStatus('Landmark editing finished.');
+            return;
+        }
+
+        this.landmarkEditor.onLandmarksChanged = (landmarks, edits) => {
+            this.applyLandmarkEdits(landmarks, edits);
+        };
+
+        // Girths scan the photo, so they are only re-estimated once a drag ends
+        this.landmarkEditor.onEditEnd = (landmarks) => {
+            this.updateEditedGirths(landmarks);
+        };
+
+        this.landmarkEditor.startEditing(
+            document.getElementById('analysis-canvas'),
+            this.currentPhoto.landmarks,
+            this.currentPhoto.originalLandmarks
+        );
+        button.textContent = 'Done Editing';
+        this.updateAnalysisStatus('Drag a landmark to move it. Segments update as you drag.');
+    }
+
+    /**
+     * Recalculate and redraw after landmarks were dragged
+     */
+    applyLandmarkEdits(landmarks, edits) {
+        const { imageData, originalMeasurements, segmentationMask } = this.currentPhoto;
+
+        try {
+            this.currentMeasurements = edits.length > 0 ? {
+                ...this.measurementCalculator.recalculateSegments(
+                    originalMeasurements,
+                    landmarks,
+                    imageData.width,
+                    imageData.height,
+                    segmentationMask
+                ),
+                // Girths from the last finished drag
+                circumferences: this.currentMeasurements.circumferences,
+                circumferenceDetails: this.currentMeasurements.circumferenceDetails,
+                landmarkEdits: edits
+            } : originalMeasurements;
+        } catch (error) {
+            console.error('Error recalculating edited landmarks:', error);
+            return;
+        }
+
+        this.currentPhoto.landmarks = landmarks;
+
+        this.canvasRenderer.renderPoseResults(imageData, landmarks, this.currentMeasurements);
+        this.canvasRenderer.drawEditedLandmarks(edits, imageData.width, imageData.height);
+        this.displayMeasurements();
+
+        document.getElementById('reset-landmarks-btn').disabled = edits.length === 0;
+    }
+
+    /**
+     * Re-estimate front + side girths from edited front-view landmarks
+     */
+    updateEditedGirths(landmarks) {
+        const girthViews = this.currentPhoto?.girthViews;
+        if (!girthViews || !this.currentMeasurements) return;
+
+        const estimate = this.circumferenceEstimator.estimateCircumferences(
+            { ...girthViews.front, landmarks: landmarks },
+            girthViews.side
+        );
+
+        this.currentMeasurements = {
+            ...this.currentMeasurements,
+            circumferences: estimate.circumferences,
+            circumferenceDetails: estimate.details
+        };
+        this.displayMeasurements();
+    }
+
+    /**
+     * Put all landmarks back where pose detection placed them
+     */
+    resetLandmarkEdits() {
+        if (!this.currentPhoto) return;
+
+        const wasEditing = this.landmarkEditor.isEditing;
+        this.landmarkEditor.stopEditing();
+        this.applyLandmarkEdits(this.currentPhoto.originalLandmarks, []);
+
+        if (wasEditing) {
+            this.landmarkEditor.startEditing(
+                document.getElementById('analysis-canvas'),
+                this.currentPhoto.originalLandmarks
+            );
+        }
+        this.updateAnalysisStatus('Landmark edits undone.');
+    }
+
+    /**
+     * Describe where a photo came from, for saving with its measurements
+     */
+    getPhotoSource(photo) {
+        return {
+            type: photo.source || 'camera',
+            fileName: photo.fileName || null,
+            facingMode: photo.camera ? photo.camera.facingMode : null
+        };
+    }
+
+    /**
+     * Capture a burst of frames and report median measurements
+     */
+    async captureBurst() {
+        if (this.scaleMode === 'reference') {
+            this.showError('Burst capture is scaled from your height. Switch the scale to height to use it.');
+            return;
+        }
+
+        const seated = this.measurementPosture === 'seated';
+        if (seated ? !this.getAthleteDetails().sittingHeight : !this.userHeight) {
+            this.showError(this.getMissingScaleMessage());
+            return;
+        }
+
+        const settings = this.storage.getSettings();
+        const frameCount = settings.burstFrameCount || 10;
+        const durationMs = settings.burstDurationMs || 2000;
+        const minConfidence = settings.burstMinConfidence || 0.7;
+
+        try {
+            this.showLoading();
+            await this.pausePoseGuidance();
+            this.clearCurrentPhoto();
+            this.updateCameraStatus('Burst capture - hold still...');
+
+            const photos = await this.camera.captureBurst(frameCount, durationMs);
+            this.updateAnalysisStatus(`Analyzing ${photos.length} frames...`);
+
+            const frames = await this.measureFrames(photos);
+
+            this.hideLoading();
+
+            const burst = this.measurementCalculator.aggregateFrameMeasurements(frames, minConfidence);
+            if (!burst) {
+                this.showError('No frames were clear enough to measure. Please make sure you are fully visible and try again.');
+                return;
+            }
+
+            this.currentMeasurements = burst.measurements;
+            this.currentMeasurements.photoSource = this.getPhotoSource(burst.baseFrame.photo);
+            this.setCurrentPhoto(burst.baseFrame.photo, burst.baseFrame.landmarks);
+
+            // Keep the burst as a landmark sequence for skeleton export
+            this.currentPhoto.landmarkSequence = this.getLandmarkSequence(frames, durationMs / 1000 / Math.max(1, frameCount - 1));
+            this.canvasRenderer.renderPoseResults(
+                burst.baseFrame.photo,
+                burst.baseFrame.landmarks,
+                this.currentMeasurements
+            );
+
+            this.displayMeasurements();
+            this.updateCameraStatus('Burst capture complete');
+            this.updateAnalysisStatus(`Analysis complete! Median of ${burst.measurements.burst.framesUsed} of ${photos.length} frames.`);
+
+            document.getElementById('save-results-btn').disabled = false;
+        } catch (error) {
+            this.hideLoading();
+            this.showError(`Burst capture failed: ${error.message}`);
+        } finally {
+            this.resumePoseGuidance();
+        }
+    }
+
+    /**
+     * Detect the pose and measure each captured frame
+     * Frames that cannot be measured are skipped. Each frame is detected on its own so tracking does not
+     * smooth the frame-to-frame spread away
+     */
+    async measureFrames(photos) {
+        const frames = [];
+
+        for (const photo of photos) {
+            const results = await this.poseDetector.detectPoseForFrame(photo, { segmentation: true, independent: true });
+            if (!results.poseLandmarks || results.poseLandmarks.length === 0) continue;
+
+            const frame = this.measureFrame(photo, results);
+            if (frame) frames.push(frame);
+        }
+
+        return frames;
+    }
+
+    /**
+     * Measure one detected frame, or return null if it cannot be measured
+     * A scale from MeasurementCalculator.getMovingScale replaces the frame's own
+     */
+    measureFrame(photo, results, scale = null) {
+        try {
+            const measurements = this.measurementCalculator.calculateMeasurements(
+                results.poseLandmarks,
+                this.userHeight,
+                photo.width,
+                photo.height,
+                { ...this.getMeasurementOptions(results, photo), scale: scale }
+            );
+
+            return {
+                measurements: measurements,
+                confidence: this.measurementCalculator.getMeasurementConfidence(
+                    measurements.bodyLandmarks,
+                    measurements.usedSide
+                ),
+                photo: photo,
+                landmarks: results.poseLandmarks,
+                results: results
+            };
+        } catch (error) {
+            console.warn('Skipping frame:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Get measured frames as a landmark sequence for skeleton export
+     */
+    getLandmarkSequence(frames, frameTime) {
+        return {
+            frames: frames.map(frame => ({
+                bodyLandmarks: frame.measurements.bodyLandmarks,
+                width: frame.photo.width,
+                height: frame.photo.height
+            })),
+            frameTime: frameTime
+        };
+    }
+
+    /**
+     * Measure over several seconds of video while the athlete moves
+     * Bone lengths should stay constant, so segments whose length varies too much are rejected and the
+     * rest are reported as stability-weighted values
+     */
+    async captureMovingMeasurement() {
+        if (this.scaleMode === 'reference') {
+            this.showError('Measuring while moving is scaled from your height. Switch the scale to height to use it.');
+            return;
+        }
+
+        const seated = this.measurementPosture === 'seated';
+        if (seated ? !this.getAthleteDetails().sittingHeight : !this.userHeight) {
+            this.showError(this.getMissingScaleMessage());
+            return;
+        }
+
+        const settings = this.storage.getSettings();
+        const frameCount = settings.movingFrameCount || 30;
+        const durationMs = settings.movingDurationMs || 6000;
+        const minConfidence = settings.burstMinConfidence || 0.7;
+
+        try {
+            await this.pausePoseGuidance();
+            this.clearCurrentPhoto();
+            document.getElementById('moving-capture-btn').disabled = true;
+            this.updateCameraStatus(`Recording for ${Math.round(durationMs / 1000)} seconds - move slowly, keeping your whole body in view...`);
+
+            const photos = await this.camera.captureBurst(frameCount, durationMs);
+
+            this.showLoading();
+            this.updateAnalysisStatus(`Analyzing ${photos.length} frames...`);
+            const measuredFrames = await this.measureFrames(photos);
+
+            // Re-measure every frame at the scale of the most upright one
+            const scale = this.measurementCalculator.getMovingScale(measuredFrames, minConfidence);
+            const frames = scale ?
+                measuredFrames.map(frame => this.measureFrame(frame.photo, frame.results, scale)).filter(frame => frame) :
+                measuredFrames;
+            this.hideLoading();
+
+            const moving = this.measurementCalculator.aggregateMovingMeasurements(frames, minConfidence);
+            if (!moving) {
+                this.showError('No frames were clear enough to measure. Please make sure you are fully visible and try again.');
+                return;
+            }
+
+            this.currentMeasurements = moving.measurements;
+            this.currentMeasurements.photoSource = this.getPhotoSource(moving.baseFrame.photo);
+            this.setCurrentPhoto(moving.baseFrame.photo, moving.baseFrame.landmarks);
+            this.currentPhoto.landmarkSequence = this.getLandmarkSequence(frames, durationMs / 1000 / Math.max(1, frameCount - 1));
+
+            this.canvasRenderer.renderPoseResults(
+                moving.baseFrame.photo,
+                moving.baseFrame.landmarks,
+                this.currentMeasurements
+            );
+
+            this.displayMeasurements();
+            const rejected = moving.measurements.moving.rejected.length;
+            this.updateCameraStatus('Moving measurement complete');
+            this.updateAnalysisStatus(`Analysis complete! ${moving.measurements.moving.framesUsed} of ${photos.length} frames used` +
+                (rejected > 0 ? `, ${rejected} unstable segment${rejected === 1 ? '' : 's'} rejected.` : '.'));
+
+            document.getElementById('save-results-btn').disabled = false;
+        } catch (error) {
+            this.hideLoading();
+            this.showError(`Moving measurement failed: ${error.message}`);
+        } finally {
+            this.resumePoseGuidance();
+            this.updateCaptureButtons();
+        }
+    }
+
+    /**
+     * Handle pose detection results
+     */
+    handlePoseDetectionResults(results, imageData) {
+        this.hideLoading();
+
+        if (!results.poseLandmarks || results.poseLandmarks.length === 0) {
+            this.showError('No pose detected. Please ensure you are fully visible in the photo and try again.');
+            return;
+        }
+
+        try {
+            // Check if we're running an athletic test
+            if (this.isFrameLoopRunning && this.currentTest && this.currentTest.isRunning) {
+                // Process frame for athletic test
+                const scale = this.getScaleFromCurrentMeasurement();
+                if (scale) {
+                    this.currentTest.processFrame(results.poseLandmarks, performance.now(), scale, imageData);
+                }
+            } else if (this.analysisMode === 'rom') {
+                // Joint angles for the range-of-motion session
+                this.handleRomResult(results, imageData);
+            } else if (this.postureCapture) {
+                // Front + side posture screen
+                this.handlePostureCaptureResult(results, imageData);
+            } else if (this.girthCapture) {
+                // Front + side girth workflow
+                this.handleGirthCaptureResult(results, imageData);
+            } else if (this.scaleMode === 'reference') {
+                // Scale is set once the reference object is clicked
+                this.startReferenceScaleCalibration(results, imageData);
+            } else {
+                // Regular body measurement processing
+                this.currentMeasurements = this.measurementCalculator.calculateMeasurements(
+                    results.poseLandmarks,
+                    this.userHeight,
+                    imageData.width,
+                    imageData.height,
+                    this.getMeasurementOptions(results, imageData)
+                );
+                this.currentMeasurements.photoSource = this.getPhotoSource(imageData);
+                this.setCurrentPhoto(imageData, results.poseLandmarks, results.segmentationMaskData);
+
+                // Render pose on canvas
+                this.canvasRenderer.renderPoseResults(
+                    imageData,
+                    results.poseLandmarks,
+                    this.currentMeasurements
+                );
+
+                // Display measurements
+                this.displayMeasurements();
+                this.updateAnalysisStatus('Analysis complete! Your measurements are shown below.');
+                
+                // Enable save button
+                document.getElementById('save-results-btn').disabled = false;
+            }
+
+        } catch (error) {
+            console.error('Error processing pose results:', error);
+            this.showError('Failed to process pose detection results. Please try again.');
+        }
+    }
+    
+    /**
+     * Measure joint angles from a photo and add them to the session
+     */
+    handleRomResult(results, imageData) {
+        const angles = this.rangeOfMotionCalculator.calculateAngles(
+            results.poseLandmarks,
+            imageData.width,
+            imageData.height
+        );
+        this.romSession.captures.push(angles);
+
+        this.canvasRenderer.renderPoseResults(imageData, results.poseLandmarks, null);
+        this.canvasRenderer.drawJointAngles(results.poseLandmarks, angles, imageData.width, imageData.height);
+
+        this.displayRomSession();
+        this.updateAnalysisStatus(`Joint angles measured (photo ${this.romSession.captures.length} of this session).`);
+        document.getElementById('save-rom-btn').disabled = false;
+    }
+
+    /**
+     * Display the peak angles reached so far in this session
+     */
+    displayRomSession() {
+        const container = document.getElementById('rom-list');
+        const captures = this.romSession.captures;
+
+        if (captures.length === 0) {
+            document.getElementById('rom-summary').textContent = '';
+            container.innerHTML = '<p class="empty-state">Take a photo to measure joint angles</p>';
+            return;
+        }
+
+        document.getElementById('rom-summary').textContent =
+            `${captures.length} photo${captures.length === 1 ? '' : 's'} in this session. Differences over ${this.rangeOfMotionCalculator.asymmetryThreshold}° are flagged.`;
+
+        container.innerHTML = this.formatRomRows(this.rangeOfMotionCalculator.summarizeSession(captures));
+    }
+
+    /**
+     * Format per-joint left/right rows
+     */
+    formatRomRows(peaks) {
+        const definitions = RangeOfMotionCalculator.getJointDefinitions();
+
+        return `
+            <div class="burst-row">
+                <strong>Joint</strong><span>Left</span><span>Right</span><span>Difference</span>
+            </div>
+        ` + Object.keys(peaks).map(jointName => {
+            const entry = peaks[jointName];
+
+            return `
+                <div class="burst-row ${entry.flagged ? 'flagged' : ''}">
+                    <strong>${definitions[jointName].label}</strong>
+                    <span>${RangeOfMotionCalculator.formatAngle(entry.left)}</span>
+                    <span>${RangeOfMotionCalculator.formatAngle(entry.right)}</span>
+                    <span>${RangeOfMotionCalculator.formatAngle(entry.difference)}${entry.flagged ? ' ⚠' : ''}</span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Save the current range-of-motion session
+     */
+    saveRomSession() {
+        if (this.romSession.captures.length === 0) {
+            this.showError('No joint angles to save');
+            return;
+        }
+
+        try {
+            this.storage.saveRomSession({
+                captures: this.romSession.captures,
+                peaks: this.rangeOfMotionCalculator.summarizeSession(this.romSession.captures),
+                asymmetryThreshold: this.rangeOfMotionCalculator.asymmetryThreshold
+            });
+            this.displayRomSessions();
+            this.updateAnalysisStatus('Range-of-motion session saved.');
+            document.getElementById('save-rom-btn').disabled = true;
+        } catch (error) {
+            this.showError('Failed to save range-of-motion session');
+        }
+    }
+
+    /**
+     * Start a new range-of-motion session
+     */
+    newRomSession() {
+        this.romSession = { captures: [] };
+        this.canvasRenderer.clearCanvas();
+        this.displayRomSession();
+        document.getElementById('save-rom-btn').disabled = true;
+    }
+
+    /**
+     * Display saved range-of-motion sessions
+     */
+    displayRomSessions() {
+        const sessions = this.storage.getRomSessions();
+        const container = document.getElementById('rom-sessions-list');
+
+        if (sessions.length === 0) {
+            container.innerHTML = '<p class="empty-state">No saved range-of-motion sessions yet</p>';
+            return;
+        }
+
+        container.innerHTML = sessions.map(session => `
+            <div class="saved-result-item">
+                <div class="saved-result-header">
+                    <strong>${session.captures.length} photo${session.captures.length === 1 ? '' : 's'}</strong>
+                    <span class="saved-result-date">${new Date(session.timestamp).toLocaleDateString()}</span>
+                    <button class="btn btn-outline saved-result-delete" data-session-id="${session.id}">Delete</button>
+                </div>
+                <div class="burst-list">${this.formatRomRows(session.peaks)}</div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Delete a saved range-of-motion session after confirmation
+     */
+    deleteRomSession(id) {
+        if (confirm('Delete this range-of-motion session?')) {
+            this.storage.deleteRomSession(id);
+            this.displayRomSessions();
+        }
+    }
+
+    /**
+     * Start or cancel the front + side girth capture workflow
+     */
+    toggleGirthCapture() {
+        if (this.girthCapture) {
+            this.cancelGirthCapture();
+            this.updateCameraStatus('Girth capture cancelled');
+            return;
+        }
+
+        if (!this.userHeight) {
+            this.showError('Please enter your height first');
+            return;
+        }
+
+        this.cancelPostureCapture();
+        this.girthCapture = { step: 'front', front: null };
+        document.getElementById('girth-capture-btn').textContent = 'Cancel Girth Capture';
+        this.updateCameraStatus('Step 1 of 2: Face the camera with arms slightly away from your body, then take the photo');
+    }
+
+    /**
+     * Cancel the girth capture workflow
+     */
+    cancelGirthCapture() {
+        this.girthCapture = null;
+        document.getElementById('girth-capture-btn').textContent = 'Front + Side Girths';
+    }
+
+    /**
+     * Handle a pose result captured during the girth workflow
+     */
+    handleGirthCaptureResult(results, imageData) {
+        if (this.girthCapture.step === 'front') {
+            const measurements = this.measurementCalculator.calculateMeasurements(
+                results.poseLandmarks,
+                this.userHeight,
+                imageData.width,
+                imageData.height,
+                this.getMeasurementOptions(results, imageData)
+            );
+
+            this.girthCapture.front = {
+                landmarks: results.poseLandmarks,
+                pixelToCmRatio: measurements.photoPixelToCmRatio,
+                photo: imageData,
+                measurements: measurements
+            };
+            this.girthCapture.step = 'side';
+
+            this.canvasRenderer.renderPoseResults(imageData, results.poseLandmarks, measurements);
+            this.updateCameraStatus('Step 2 of 2: Turn 90° so your side faces the camera, then take the photo');
+            this.updateAnalysisStatus('Front view captured. Now take the side view.');
+            return;
+        }
+
+        // Side view uses the same user height to set its own scale
+        const sideBodyLandmarks = PoseDetector.getBodyMeasurementLandmarks(results.poseLandmarks);
+        const sideRatio = this.measurementCalculator.calculatePixelToCmRatio(
+            sideBodyLandmarks,
+            this.userHeight,
+            imageData.width,
+            imageData.height,
+            results.segmentationMaskData
+        );
+
+        if (!sideRatio) {
+            this.showError('Could not determine scale from the side photo. Make sure your whole body is visible and try again.');
+            return;
+        }
+
+        const front = this.girthCapture.front;
+        const side = {
+            landmarks: results.poseLandmarks,
+            pixelToCmRatio: sideRatio,
+            photo: imageData
+        };
+        const estimate = this.circumferenceEstimator.estimateCircumferences(front, side);
+
+        this.currentMeasurements = {
+            ...front.measurements,
+            circumferences: estimate.circumferences,
+            circumferenceDetails: estimate.details,
+            captureMode: 'front-side',
+            photoSource: this.getPhotoSource(front.photo)
+        };
+
+        this.cancelGirthCapture();
+        this.setCurrentPhoto(front.photo, front.landmarks);
+
+        // Kept so girths can be re-estimated after landmark edits
+        this.currentPhoto.girthViews = { front: front, side: side };
+
+        // Show the front view with its segment overlay
+        this.canvasRenderer.renderPoseResults(front.photo, front.landmarks, this.currentMeasurements);
+
+        this.displayMeasurements();
+        this.updateCameraStatus('Front and side views captured');
+        this.updateAnalysisStatus('Analysis complete! Segments and girths are shown below.');
+
+        document.getElementById('save-results-btn').disabled = false;
+    }
+    
+    /**
+     * Start or cancel the front + side posture screen
+     */
+    togglePostureCapture() {
+        if (this.postureCapture) {
+            this.cancelPostureCapture();
+            this.updateCameraStatus('Posture screen cancelled');
+            return;
+        }
+
+        this.cancelGirthCapture();
+        this.postureCapture = { step: 'front', front: null };
+        document.getElementById('posture-capture-btn').textContent = 'Cancel Posture Screen';
+        this.updateCameraStatus('Step 1 of 2: Face the camera standing relaxed, arms by your sides, then take the photo');
+    }
+
+    /**
+     * Cancel the posture screen
+     */
+    cancelPostureCapture() {
+        this.postureCapture = null;
+        document.getElementById('posture-capture-btn').textContent = 'Posture Screen';
+    }
+
+    /**
+     * Get cm per pixel for a posture photo, or null without a height
+     */
+    getPostureScale(results, imageData) {
+        if (!this.userHeight) return null;
+
+        return this.measurementCalculator.calculatePixelToCmRatio(
+            PoseDetector.getBodyMeasurementLandmarks(results.poseLandmarks),
+            this.userHeight,
+            imageData.width,
+            imageData.height,
+            results.segmentationMaskData
+        );
+    }
+
+    /**
+     * Handle a pose result captured during the posture screen
+     */
+    handlePostureCaptureResult(results, imageData) {
+        const pixelToCmRatio = this.getPostureScale(results, imageData);
+
+        if (this.postureCapture.step === 'front') {
+            const items = this.postureAssessor.assessFront(
+                results.poseLandmarks,
+                imageData.width,
+                imageData.height,
+                pixelToCmRatio
+            );
+
+            this.postureCapture.front = { items: items, photoSource: this.getPhotoSource(imageData) };
+            this.postureCapture.step = 'side';
+
+            this.canvasRenderer.renderPoseResults(imageData, results.poseLandmarks, null);
+            this.canvasRenderer.drawPostureOverlay(items, imageData.width, imageData.height);
+            this.updateCameraStatus('Step 2 of 2: Turn 90° so your side faces the camera, then take the photo');
+            this.updateAnalysisStatus('Front view assessed. Now take the side view.');
+            return;
+        }
+
+        const sideItems = this.postureAssessor.assessSide(
+            results.poseLandmarks,
+            imageData.width,
+            imageData.height,
+            pixelToCmRatio
+        );
+
+        this.currentPosture = this.postureAssessor.createReport(this.postureCapture.front.items, sideItems);
+        this.currentPosture.photoSource = this.postureCapture.front.photoSource;
+        this.cancelPostureCapture();
+
+        this.canvasRenderer.renderPoseResults(imageData, results.poseLandmarks, null);
+        this.canvasRenderer.drawPostureOverlay(sideItems, imageData.width, imageData.height);
+
+        this.displayPostureReport();
+        this.updateCameraStatus('Front and side views captured');
+        this.updateAnalysisStatus('Posture screen complete! The report is shown below.');
+
+        document.getElementById('save-posture-btn').disabled = false;
+    }
+
+    /**
+     * Display the current posture report, compared with the last saved one
+     */
+    displayPostureReport() {
+        const container = document.getElementById('posture-list');
+
+        if (!this.currentPosture) {
+            container.innerHTML = '<p class="empty-state">Use Posture Screen to assess posture</p>';
+            return;
+        }
+
+        const previous = this.storage.getPostureAssessments()[0] || null;
+        container.innerHTML = this.formatPostureRows(this.currentPosture, previous);
+    }
+
+    /**
+     * Format posture items as rows, with the change since an earlier assessment
+     */
+    formatPostureRows(assessment, previous = null) {
+        const labels = PostureAssessor.getItemLabels();
+
+        return Object.keys(labels).map(itemName => {
+            const item = assessment.items[itemName];
+            const earlier = previous?.items?.[itemName];
+            const change = item && earlier ? Math.abs(item.value) - Math.abs(earlier.value) : null;
+
+            return `
+                <div class="burst-row">
+                    <strong>${labels[itemName]}</strong>
+                    <span>${PostureAssessor.formatItem(item)}</span>
+                    <span>${change !== null ? `${change > 0 ? '+' : ''}${change.toFixed(1)}°` : ''}</span>
+                    ${item ? `<span class="posture-rating ${item.rating}">${item.rating}</span>` : '<span>-</span>'}
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Save the current posture assessment, without the overlay landmarks
+     */
+    saveCurrentPosture() {
+        if (!this.currentPosture) {
+            this.showError('No posture assessment to save');
+            return;
+        }
+
+        const items = {};
+        Object.keys(this.currentPosture.items).forEach(itemName => {
+            const item = this.currentPosture.items[itemName];
+            if (!item) {
+                items[itemName] = null;
+                return;
+            }
+            const { overlay, ...saved } = item;
+            items[itemName] = saved;
+        });
+
+        try {
+            this.storage.savePostureAssessment({ ...this.currentPosture, items: items });
+            this.displayPostureHistory();
+            this.updateAnalysisStatus('Posture assessment saved.');
+            document.getElementById('save-posture-btn').disabled = true;
+        } catch (error) {
+            this.showError('Failed to save posture assessment');
+        }
+    }
+
+    /**
+     * Display saved posture assessments, each compared with the one before it
+     */
+    displayPostureHistory() {
+        const assessments = this.storage.getPostureAssessments();
+        const container = document.getElementById('posture-history-list');
+
+        if (assessments.length === 0) {
+            container.innerHTML = '<p class="empty-state">No saved posture assessments yet</p>';
+            return;
+        }
+
+        container.innerHTML = assessments.map((assessment, index) => `
+            <div class="saved-result-item">
+                <div class="saved-result-header">
+                    <strong>Overall: <span class="posture-rating ${assessment.overall}">${assessment.overall}</span></strong>
+                    <span class="saved-result-date">${new Date(assessment.timestamp).toLocaleDateString()}</span>
+                </div>
+                <div class="burst-list">${this.formatPostureRows(assessment, assessments[index + 1])}</div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Start recording a bike fit, or stop and analyse the recording
+     */
+    async toggleBikeFitRecording() {
+        if (this.bikeFitAnalyzer.isRecording) {
+            this.stopBikeFitRecording();
+            return;
+        }
+
+        if (this.isFrameLoopRunning) {
+            this.showError('Stop the running athletic test before recording a bike fit');
+            return;
+        }
+
+        try {
+            if (!this.camera.stream) {
+                await this.startCamera();
+            }
+        } catch (error) {
+            this.showError(`Failed to start bike fit: ${error.message}`);
+            return;
+        }
+
+        this.bikeFitAnalyzer.start();
+        this.currentBikeFit = null;
+        this.displayBikeFitReport();
+        document.getElementById('bike-fit-record-btn').textContent = 'Stop & Analyse';
+        document.getElementById('save-bike-fit-btn').disabled = true;
+        this.updateCameraStatus('Recording bike fit: pedal steadily with your side to the camera');
+
+        this.isFrameLoopRunning = true;
+        await this.pausePoseGuidance();
+
+        // Stopped while a pose check was finishing
+        if (!this.bikeFitAnalyzer.isRecording) return;
+
+        // Skip frames while the previous one is still being detected
+        this.camera.startFrameLoop((frameData) => {
+            if (!this.bikeFitAnalyzer.isRecording || this.bikeFitFrameInFlight) return;
+
+            this.bikeFitFrameInFlight = true;
+            this.poseDetector.detectPoseForFrame(frameData).then(results => {
+                const sample = this.bikeFitAnalyzer.processFrame(
+                    results.poseLandmarks,
+                    frameData.timestamp,
+                    frameData.width,
+                    frameData.height
+                );
+                if (sample) {
+                    this.updateAnalysisStatus(`Bike fit: ${this.bikeFitAnalyzer.samples.length} frames, knee flexion ${sample.kneeFlexion.toFixed(0)}°`);
+                }
+            }).catch(error => {
+                console.error('Bike fit pose detection error:', error);
+            }).finally(() => {
+                this.bikeFitFrameInFlight = false;
+            });
+        });
+    }
+
+    /**
+     * Stop recording and analyse the pedal strokes
+     */
+    stopBikeFitRecording() {
+        this.bikeFitAnalyzer.stop();
+        this.stopFrameLoop();
+        document.getElementById('bike-fit-record-btn').textContent = 'Record Bike Fit';
+        this.updateCameraStatus('Bike fit recording stopped');
+
+        let results;
+        try {
+            results = this.bikeFitAnalyzer.analyze();
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
+
+        const saddleHeightInput = parseFloat(document.getElementById('bike-fit-saddle-input').value);
+        const currentSaddleHeight = saddleHeightInput > 0 ? saddleHeightInput : null;
+        const segments = this.getBikeFitSegments();
+
+        this.currentBikeFit = {
+            phase: document.getElementById('bike-fit-phase-select').value,
+            athleteName: this.storage.getSettings().athleteName || '',
+            timestamp: Date.now(),
+            results: results,
+            saddle: segments ?
+                this.bikeFitAnalyzer.suggestSaddleHeight(results, segments.inseam, segments, currentSaddleHeight) : null
+        };
+
+        this.displayBikeFitReport();
+        this.updateAnalysisStatus('Bike fit analysed! The report is shown below.');
+        document.getElementById('save-bike-fit-btn').disabled = false;
+    }
+
+    /**
+     * Get segment lengths with an inseam for saddle height suggestions
+     * Uses the current measurement, or the athlete's latest saved one
+     */
+    getBikeFitSegments() {
+        if (this.currentMeasurements?.segments?.inseam) {
+            return this.currentMeasurements.segments;
+        }
+
+        const latest = this.getAthleteHistory(this.storage.getSavedMeasurements())
+            .find(measurement => measurement.segments && measurement.segments.inseam);
+        return latest ? latest.segments : null;
+    }
+
+    /**
+     * Display the current bike fit, compared with the before session when it is an after session
+     */
+    displayBikeFitReport() {
+        const container = document.getElementById('bike-fit-list');
+        const suggestion = document.getElementById('bike-fit-suggestion');
+
+        if (!this.currentBikeFit) {
+            container.innerHTML = '<p class="empty-state">Record the rider pedalling side-on to analyse the fit</p>';
+            suggestion.textContent = '';
+            return;
+        }
+
+        const before = this.currentBikeFit.phase === 'after' ?
+            BikeFitAnalyzer.findBeforeSession(this.storage.getBikeFitSessions(), this.currentBikeFit) : null;
+
+        container.innerHTML = this.formatBikeFitRows(this.currentBikeFit, before);
+        suggestion.textContent = this.formatSaddleSuggestion(this.currentBikeFit);
+    }
+
+    /**
+     * Format bike fit metrics as rows, with the change since the before session
+     */
+    formatBikeFitRows(session, before = null) {
+        const labels = BikeFitAnalyzer.getMetricLabels();
+        const comparison = before ? BikeFitAnalyzer.compareSessions(before, session) : null;
+        const target = this.bikeFitAnalyzer.targetBdcKneeFlexion;
+
+        return Object.keys(labels).map(metric => {
+            const value = session.results[metric];
+            const change = comparison ? comparison[metric].change : null;
+
+            let flag = '<span></span>';
+            if (metric === 'bdcKneeFlexion' && typeof value === 'number') {
+                const inRange = value >= target.min && value <= target.max;
+                flag = `<span class="posture-rating ${inRange ? 'green' : 'amber'}">${inRange ? 'in range' : value < target.min ? 'low' : 'high'}</span>`;
+            } else if (metric === 'tdcHipAngle' && session.results.hipClosed) {
+                flag = '<span class="posture-rating amber">closed</span>';
+            }
+
+            return `
+                <div class="burst-row">
+                    <strong>${labels[metric]}</strong>
+                    <span>${BikeFitAnalyzer.formatMetric(metric, value)}</span>
+                    <span>${change !== null ? `${change > 0 ? '+' : ''}${BikeFitAnalyzer.formatMetric(metric, change)} vs before` : ''}</span>
+                    ${flag}
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Describe the saddle height suggestion for a session
+     */
+    formatSaddleSuggestion(session) {
+        const saddle = session.saddle;
+        const target = this.bikeFitAnalyzer.targetBdcKneeFlexion;
+
+        if (!saddle) {
+            return 'Measure or save a photo with an inseam to get saddle height suggestions.';
+        }
+
+        let text = saddle.status === 'ok' ?
+            `Saddle height looks right: knee flexion at bottom dead centre is within ${target.min}-${target.max}°.` :
+            `${saddle.status === 'raise' ? 'Raise' : 'Lower'} the saddle about ${Math.abs(saddle.change * 10).toFixed(0)} mm ` +
+            `to reach ${saddle.targetFlexion.toFixed(0)}° knee flexion at bottom dead centre.`;
+
+        if (saddle.status !== 'ok' && saddle.suggestedSaddleHeight) {
+            text += ` Suggested saddle height: ${saddle.suggestedSaddleHeight.toFixed(1)} cm.`;
+        }
+        text += ` Inseam reference (${saddle.inseam.toFixed(1)} cm × ${this.bikeFitAnalyzer.inseamSaddleRatio}): ${saddle.referenceSaddleHeight.toFixed(1)} cm.`;
+
+        if (session.results.hipClosed) {
+            text += ' The hip angle is closed at top dead centre; consider raising the bars or shortening the reach.';
+        }
+
+        return text;
+    }
+
+    /**
+     * Save the current bike fit session
+     */
+    saveCurrentBikeFit() {
+        if (!this.currentBikeFit) {
+            this.showError('No bike fit to save');
+            return;
+        }
+
+        try {
+            this.storage.saveBikeFitSession(this.currentBikeFit);
+            this.displayBikeFitHistory();
+            this.updateAnalysisStatus('Bike fit session saved.');
+            document.getElementById('save-bike-fit-btn').disabled = true;
+        } catch (error) {
+            this.showError('Failed to save bike fit session');
+        }
+    }
+
+    /**
+     * Display saved bike fit sessions; after sessions are compared with their before session
+     */
+    displayBikeFitHistory() {
+        const sessions = this.storage.getBikeFitSessions();
+        const container = document.getElementById('bike-fit-history-list');
+
+        if (sessions.length === 0) {
+            container.innerHTML = '<p class="empty-state">No saved bike fit sessions yet</p>';
+            return;
+        }
+
+        container.innerHTML = sessions.map(session => {
+            const before = session.phase === 'after' ? BikeFitAnalyzer.findBeforeSession(sessions, session) : null;
+
+            return `
+                <div class="saved-result-item">
+                    <div class="saved-result-header">
+                        <strong>${session.phase === 'after' ? 'After' : 'Before'}${session.athleteName ? ` - ${this.escapeHTML(session.athleteName)}` : ''}</strong>
+                        <span class="saved-result-date">${new Date(session.timestamp).toLocaleDateString()}</span>
+                    </div>
+                    <div class="burst-list">${this.formatBikeFitRows(session, before)}</div>
+                    <p class="hint">${this.escapeHTML(this.formatSaddleSuggestion(session))}</p>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Get scale from current measurement for athletic tests
+     */
+    getScaleFromCurrentMeasurement() {
+        if (this.currentMeasurements) {
+            return MeasurementCalculator.getScaleFromMeasurement(this.currentMeasurements);
+        }
+        
+        // Try to get from most recent saved measurement
+        const savedMeasurements = this.storage.getSavedMeasurements();
+        if (savedMeasurements.length > 0) {
+            return MeasurementCalculator.getScaleFromMeasurement(savedMeasurements[0]);
+        }
+        
+        // Fallback: create basic scale from user height
+        if (this.userHeight) {
+            return {
+                pxPerCm: 5, // Rough estimate
+                cmPerPx: 0.2,
+                pxPerM: 500,
+                imageWidth: 640,
+                imageHeight: 480
+            };
+        }
+        
+        return null;
+    }
+
+    /**
+     * Display current measurements
+     */
+    displayMeasurements() {
+        if (!this.currentMeasurements) return;
+
+        // Girths are only available from the front + side workflow
+        const measurements = {
+            ...this.currentMeasurements.segments,
+            ...this.currentMeasurements.circumferences
+        };
+        
+        const uncertainty = this.currentMeasurements.uncertainty || {};
+        
+        // Update measurement displays
+        document.querySelectorAll('.measurement-card').forEach(card => {
+            card.querySelector('.measurement-value').textContent = 
+                MeasurementCalculator.formatMeasurementWithUncertainty(
+                    measurements[card.dataset.measurement],
+                    uncertainty[card.dataset.measurement]
+                );
+        });
+
+        // Add visual indication for available measurements
+        this.updateMeasurementCards();
+
+        this.displayAsymmetryReport();
+        this.displayMaturityReport();
+        this.displayBodyIndices();
+        this.displayValidationWarnings();
+        this.displaySegmentComparison();
+        this.displayBurstReport();
+        this.displayMovingReport();
+    }
+
+    /**
+     * Display segments that fall outside the selected norm table
+     */
+    displayValidationWarnings() {
+        const report = document.getElementById('validation-report');
+        const warnings = this.currentMeasurements?.validationWarnings || [];
+
+        if (warnings.length === 0) {
+            report.style.display = 'none';
+            return;
+        }
+
+        document.getElementById('validation-summary').textContent =
+            `Compared with ${this.currentMeasurements.normTable.label}. Values are shown as measured - check the photo before relying on them.`;
+
+        document.getElementById('validation-list').innerHTML = warnings.map(warning => `
+            <div class="burst-row flagged">
+                <strong>${MeasurementCalculator.getSegmentLabel(warning.segment)}</strong>
+                <span>${warning.value.toFixed(1)} cm</span>
+                <span>Norm ${warning.range.min.toFixed(1)}–${warning.range.max.toFixed(1)}</span>
+                <span>${warning.direction === 'low' ? 'Short' : 'Long'} ⚠</span>
+            </div>
+        `).join('');
+
+        report.style.display = 'block';
+    }
+
+    /**
+     * Display 3D vs 2D segment lengths and flag foreshortened segments
+     */
+    displaySegmentComparison() {
+        const report = document.getElementById('segment-comparison-report');
+        const comparison = this.currentMeasurements?.segmentComparison;
+
+        if (!comparison) {
+            report.style.display = 'none';
+            return;
+        }
+
+        document.getElementById('segment-comparison-list').innerHTML = MeasurementCalculator.getSegmentNames()
+            .filter(segmentName => comparison[segmentName])
+            .map(segmentName => {
+                const entry = comparison[segmentName];
+
+                return `
+                    <div class="burst-row ${entry.foreshortened ? 'flagged' : ''}">
+                        <strong>${MeasurementCalculator.getSegmentLabel(segmentName)}</strong>
+                        <span>3D ${entry.length3d.toFixed(1)} cm</span>
+                        <span>2D ${entry.length2d.toFixed(1)} cm</span>
+                        <span>${entry.differencePercent > 0 ? '+' : ''}${entry.differencePercent.toFixed(1)}%${entry.foreshortened ? ' ⚠' : ''}</span>
+                    </div>
+                `;
+            }).join('');
+
+        report.style.display = 'block';
+    }
+
+    /**
+     * Display per-segment median and spread for a burst measurement
+     */
+    displayBurstReport() {
+        const report = document.getElementById('burst-report');
+        const burst = this.currentMeasurements?.burst;
+
+        if (!burst) {
+            report.style.display = 'none';
+            return;
+        }
+
+        document.getElementById('burst-summary').textContent =
+            `${burst.framesUsed} of ${burst.framesCaptured} frames used (confidence ≥ ${Math.round(burst.minConfidence * 100)}%)`;
+
+        document.getElementById('burst-list').innerHTML = MeasurementCalculator.getSegmentNames()
+            .filter(segmentName => burst.spread[segmentName])
+            .map(segmentName => {
+                const spread = burst.spread[segmentName];
+                const median = this.currentMeasurements.segments[segmentName];
+
+                return `
+                    <div class="burst-row">
+                        <strong>${MeasurementCalculator.getSegmentLabel(segmentName)}</strong>
+                        <span>${median.toFixed(1)} cm</span>
+                        <span>SD ${spread.sd.toFixed(1)}</span>
+                        <span>${spread.min.toFixed(1)}–${spread.max.toFixed(1)}</span>
+                    </div>
+                `;
+            }).join('');
+
+        report.style.display = 'block';
+    }
+
+    /**
+     * Display how much each segment length varied while moving
+     */
+    displayMovingReport() {
+        const report = document.getElementById('moving-report');
+        const moving = this.currentMeasurements?.moving;
+
+        if (!moving) {
+            report.style.display = 'none';
+            return;
+        }
+
+        document.getElementById('moving-summary').textContent =
+            `${moving.framesUsed} of ${moving.framesCaptured} frames used. Segments varying by more than ${moving.maxVariation}% are rejected; the rest are weighted towards the steadiest frames.`;
+
+        document.getElementById('moving-list').innerHTML = MeasurementCalculator.getSegmentNames()
+            .filter(segmentName => moving.consistency[segmentName])
+            .map(segmentName => {
+                const entry = moving.consistency[segmentName];
+                const status = entry.stable ? 'Stable' :
+                    entry.reason === 'too-few-frames' ? `Only ${entry.n} frames ⚠` : 'Rejected ⚠';
+
+                return `
+                    <div class="burst-row ${entry.stable ? '' : 'flagged'}">
+                        <strong>${MeasurementCalculator.getSegmentLabel(segmentName)}</strong>
+                        <span>${entry.stable ? `${entry.value.toFixed(1)} cm` : '-'}</span>
+                        <span>±${entry.variation.toFixed(1)}%</span>
+                        <span>${status}</span>
+                    </div>
+                `;
+            }).join('');
+
+        report.style.display = 'block';
+    }
+
+    /**
+     * Display left/right asymmetry for the current measurement
+     */
+    displayAsymmetryReport() {
+        const container = document.getElementById('asymmetry-list');
+        const asymmetry = this.currentMeasurements?.asymmetry || {};
+        const segmentNames = Object.keys(asymmetry);
+
+        if (segmentNames.length === 0) {
+            container.innerHTML = '<p class="empty-state">Take a photo with both sides visible to compare limbs</p>';
+            return;
+        }
+
+        container.innerHTML = segmentNames.map(segmentName => {
+            const entry = asymmetry[segmentName];
+
+            return `
+                <div class="asymmetry-row ${entry.flagged ? 'flagged' : ''}">
+                    <strong>${MeasurementCalculator.getSegmentLabel(segmentName)}</strong>
+                    <span>L ${entry.left.toFixed(1)} cm</span>
+                    <span>R ${entry.right.toFixed(1)} cm</span>
+                    <span class="asymmetry-percent">${entry.percent.toFixed(1)}%${entry.flagged ? ' ⚠' : ''}</span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Update measurement card styles
+     */
+    updateMeasurementCards() {
+        const cards = document.querySelectorAll('.measurement-card');
+        const measurements = {
+            ...this.currentMeasurements?.segments,
+            ...this.currentMeasurements?.circumferences
+        };
+
+        cards.forEach(card => {
+            const segmentValue = measurements[card.dataset.measurement];
+            
+            if (segmentValue && segmentValue > 0) {
+                card.classList.add('has-value');
+            } else {
+                card.classList.remove('has-value');
+            }
+        });
+    }
+
+    /**
+     * Save current measurement results
+     */
+    saveCurrentResults() {
+        if (!this.currentMeasurements) {
+            this.showError('No measurements to save');
+            return;
+        }
+
+        try {
+            this.storage.saveMeasurement({
+                ...this.currentMeasurements,
+                athleteName: this.storage.getSettings().athleteName || null
+            });
+            this.displaySavedResults();
+            this.updateAnalysisStatus('Measurements saved successfully!');
+            
+            // Briefly disable save button to prevent duplicate saves
+            const saveBtn = document.getElementById('save-results-btn');
+            saveBtn.disabled = true;
+            saveBtn.textContent = 'Saved!';
+            
+            setTimeout(() => {
+                saveBtn.disabled = false;
+                saveBtn.textContent = 'Save Results';
+            }, 2000);
+            
+        } catch (error) {
+            this.showError('Failed to save measurements');
+        }
+    }
+
+    /**
+     * Clear current results
+     */
+    clearCurrentResults() {
+        this.currentMeasurements = null;
+        this.cancelGirthCapture();
+        this.cancelPostureCapture();
+        this.referenceScaleCalibrator.cancelCalibration();
+        this.pendingReferencePhoto = null;
+        this.clearCurrentPhoto();
+        
+        // Clear measurement displays
         document.querySelectorAll('.measurement-value').forEach(el => {
             el.textContent = '-';
         });
@@ -783,6 +3359,15 @@ class BodyMeasurementApp {
             card.classList.remove('has-value');
         });
         
+        // Clear asymmetry, maturity, body index, norm, 3D comparison, burst and consistency reports
+        this.displayAsymmetryReport();
+        this.displayMaturityReport();
+        this.displayBodyIndices();
+        this.displayValidationWarnings();
+        this.displaySegmentComparison();
+        this.displayBurstReport();
+        this.displayMovingReport();
+        
         // Clear canvas
         this.canvasRenderer.clearCanvas();
         
@@ -799,6 +3384,12 @@ class BodyMeasurementApp {
         const savedResults = this.storage.getSavedMeasurements();
         const container = document.getElementById('saved-results-list');
         
+        const athleteHistory = this.getAthleteHistory(savedResults);
+        this.displayMaturityTrend(athleteHistory);
+        this.displayBodyIndexTrend(athleteHistory);
+        this.displayGrowthVelocity(athleteHistory);
+        this.displayKitSizes();
+
         if (savedResults.length === 0) {
             container.innerHTML = '<p class="empty-state">No saved measurements yet</p>';
             return;
@@ -807,19 +3398,161 @@ class BodyMeasurementApp {
         container.innerHTML = savedResults.map(result => `
             <div class="saved-result-item">
                 <div class="saved-result-header">
-                    <strong>Measurement #${result.id}</strong>
+                    <strong>${result.athleteName ? `${this.escapeHTML(result.athleteName)} · ` : ''}Measurement #${result.id}</strong>
                     <span class="saved-result-date">${new Date(result.timestamp).toLocaleDateString()}</span>
                 </div>
                 <div class="saved-result-measurements">
-                    <div>Upper Arm: ${result.segments.upperArm ? result.segments.upperArm.toFixed(1) + ' cm' : '-'}</div>
-                    <div>Forearm: ${result.segments.forearm ? result.segments.forearm.toFixed(1) + ' cm' : '-'}</div>
-                    <div>Thigh: ${result.segments.thigh ? result.segments.thigh.toFixed(1) + ' cm' : '-'}</div>
-                    <div>Shin: ${result.segments.shin ? result.segments.shin.toFixed(1) + ' cm' : '-'}</div>
+                    ${MeasurementCalculator.getSegmentNames()
+                        .filter(segmentName => segmentName in result.segments)
+                        .map(segmentName => `<div>${MeasurementCalculator.getSegmentLabel(segmentName)}: ${MeasurementCalculator.formatMeasurementWithUncertainty(result.segments[segmentName], result.uncertainty?.[segmentName])}</div>`)
+                        .join('')}
+                    ${result.circumferences ? `
+                    <div>Chest: ${result.circumferences.chest ? result.circumferences.chest.toFixed(1) + ' cm' : '-'}</div>
+                    <div>Waist: ${result.circumferences.waist ? result.circumferences.waist.toFixed(1) + ' cm' : '-'}</div>
+                    <div>Hip: ${result.circumferences.hip ? result.circumferences.hip.toFixed(1) + ' cm' : '-'}</div>
+                    ` : ''}
                 </div>
+                ${this.formatAsymmetryFlags(result)}
+                ${result.validationWarnings && result.validationWarnings.length > 0 ?
+                    `<div class="saved-result-scale">Outside ${result.normTable ? this.escapeHTML(result.normTable.label) : 'norms'}: ${result.validationWarnings.map(warning => MeasurementCalculator.getSegmentLabel(warning.segment)).join(', ')}</div>` : ''}
+                ${result.maturity ?
+                    `<div class="saved-result-scale">Maturity offset ${MaturityCalculator.formatOffset(result.maturity.maturityOffset)} (${result.maturity.status}), ≈ ${result.maturity.percentAdultHeight.toFixed(0)}% adult height (rough)</div>` : ''}
+                ${result.burst ?
+                    `<div class="saved-result-scale">Median of ${result.burst.framesUsed} burst frames</div>` : ''}
+                ${result.bodyIndices ?
+                    `<div class="saved-result-scale">${Object.keys(result.bodyIndices.indices).filter(name => name !== 'cormicIndex').map(name => `${BodyIndexCalculator.getIndexLabels()[name]} ${BodyIndexCalculator.formatIndex(name, result.bodyIndices.indices[name].value)}`).join(' · ')}</div>` : ''}
+                ${result.moving ?
+                    `<div class="saved-result-scale">Measured while moving over ${result.moving.framesUsed} frames${result.moving.rejected.length > 0 ? `; unstable: ${result.moving.rejected.map(segmentName => MeasurementCalculator.getSegmentLabel(segmentName)).join(', ')}` : ''}</div>` : ''}
+                ${result.measurementMode === '3d' ?
+                    `<div class="saved-result-scale">3D segment lengths from world landmarks</div>` : ''}
+                ${result.scaleSource === 'reference-object' && result.referenceObject ?
+                    `<div class="saved-result-scale">Scaled from ${result.referenceObject.label} (${result.referenceObject.lengthCm} cm)</div>` : ''}
+                ${result.landmarkEdits && result.landmarkEdits.length > 0 ?
+                    `<div class="saved-result-scale">Hand-edited landmarks: ${result.landmarkEdits.map(edit => edit.name.replace(/_/g, ' ')).join(', ')}</div>` : ''}
+                ${result.landmarkEdits && result.landmarkEdits.length > 0 && result.scaleEdit ?
+                    `<div class="saved-result-scale">Height scale re-derived from the edited landmarks (lengths ${(result.pixelToCmRatio / result.scaleEdit.pixelToCmRatio * 100 - 100).toFixed(1)}%)</div>` : ''}
+                ${result.photoSource && result.photoSource.type === 'file' ?
+                    `<div class="saved-result-scale">Measured from file${result.photoSource.fileName ? `: ${this.escapeHTML(result.photoSource.fileName)}` : ''}</div>` : ''}
+                ${result.scaleMethod === 'segmentation' ?
+                    `<div class="saved-result-scale">Stature from head top to floor (segmentation)</div>` : ''}
+                ${result.posture === 'seated' ?
+                    `<div class="saved-result-scale">Seated protocol${result.sittingHeight ? `, scaled from ${result.sittingHeight} cm sitting height` : ''}</div>` : ''}
+                ${result.perspective ?
+                    `<div class="saved-result-scale">Corrected for camera tilt: ${PerspectiveCorrector.formatCorrection(result.perspective)}</div>` : ''}
             </div>
         `).join('');
     }
 
+    /**
+     * Display annualised growth for stature and segments across saved measurements
+     */
+    displayGrowthVelocity(savedResults) {
+        const report = document.getElementById('growth-report');
+        const growth = this.measurementCalculator.calculateGrowthVelocity(savedResults);
+        const rows = ['stature', ...MeasurementCalculator.getSegmentNames()]
+            .filter(name => growth.velocities[name]);
+
+        if (rows.length === 0) {
+            report.style.display = 'none';
+            return;
+        }
+
+        report.style.display = 'block';
+
+        const stature = growth.velocities.stature;
+        document.getElementById('growth-summary').textContent = stature ?
+            `Height ${stature.first.toFixed(1)} → ${stature.latestValue.toFixed(1)} cm over ${stature.years.toFixed(1)} years` +
+            (growth.spurt ? ` · Growth spurt: ${stature.latest.velocity.toFixed(1)} cm/year since the previous record` : '') :
+            'Save measurements with a height entered to track stature growth.';
+
+        this.drawGrowthChart(stature);
+
+        document.getElementById('growth-list').innerHTML = `
+            <div class="burst-row">
+                <strong>Segment</strong><span>Change</span><span>Overall</span><span>Latest</span>
+            </div>
+        ` + rows.map(name => {
+            const entry = growth.velocities[name];
+            const label = name === 'stature' ? 'Height' : MeasurementCalculator.getSegmentLabel(name);
+
+            return `
+                <div class="burst-row ${entry.latest.spurt ? 'flagged' : ''}">
+                    <strong>${label}</strong>
+                    <span>${entry.change > 0 ? '+' : ''}${entry.change.toFixed(1)} cm</span>
+                    <span>${entry.velocity.toFixed(1)} cm/yr</span>
+                    <span>${entry.latest.velocity.toFixed(1)} cm/yr${entry.latest.spurt ? ' ⚠' : ''}</span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Draw the stature growth curve
+     */
+    drawGrowthChart(stature) {
+        const canvas = document.getElementById('growth-chart-canvas');
+        const ctx = canvas.getContext('2d');
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        canvas.style.display = stature ? '' : 'none';
+        if (!stature) return;
+
+        this.canvasRenderer.drawGrowthChart(ctx, stature.points, stature.intervals, 10, 10, canvas.width - 20, canvas.height - 20);
+    }
+
+    /**
+     * Format flagged asymmetries for a saved result
+     */
+    formatAsymmetryFlags(result) {
+        if (!result.asymmetry) return '';
+
+        const flagged = Object.keys(result.asymmetry)
+            .filter(segmentName => result.asymmetry[segmentName].flagged)
+            .map(segmentName => `${MeasurementCalculator.getSegmentLabel(segmentName)} ${result.asymmetry[segmentName].percent.toFixed(1)}%`);
+
+        if (flagged.length === 0) return '';
+
+        return `<div class="saved-result-flags">Asymmetry: ${flagged.join(', ')}</div>`;
+    }
+
+    /**
+     * Export saved body measurements
+     */
+    exportMeasurements(format) {
+        try {
+            if (format === 'csv') {
+                this.dataExporter.exportBodyMeasurementsCSV();
+            } else {
+                this.dataExporter.exportBodyMeasurements();
+            }
+        } catch (error) {
+            this.showError('Failed to export measurements');
+        }
+    }
+
+    /**
+     * Export the current measurement as a BVH skeleton
+     * A burst capture exports every frame as motion; a single photo exports the rest pose
+     */
+    exportSkeleton() {
+        if (!this.currentMeasurements) {
+            this.showError('Take a photo first to export a skeleton');
+            return;
+        }
+
+        const sequence = this.currentPhoto?.landmarkSequence;
+        const measurement = { ...this.currentMeasurements, athleteName: this.storage.getSettings().athleteName || '' };
+
+        try {
+            this.dataExporter.exportSkeletonBVH(measurement, sequence ? {
+                frames: sequence.frames,
+                frameTime: sequence.frameTime
+            } : {});
+        } catch (error) {
+            this.showError(`Failed to export skeleton: ${error.message}`);
+        }
+    }
+
     /**
      * Clear all saved results
      */
@@ -872,6 +3605,15 @@ class BodyMeasurementApp {
     hideError() {
         document.getElementById('error-modal').classList.remove('show');
     }
+
+    /**
+     * Escape user-supplied text (file names, imported labels) before putting it in HTML
+     */
+    escapeHTML(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
 }
 
 // Initialize app when DOM is loaded
@@ -1,6 +1,6 @@
 /**
  * Athletic Test Controllers
- * Handles the three athletic test modes
+ * Handles the four athletic test modes
  */
 
 /**
@@ -576,4 +576,201 @@ class KickTest extends BaseAthleticTest {
         this.ballTracker.clearHistory();
         this.eventDetector.clearTracking();
     }
-}
\ No newline at end of file
+}
+/**
+ * Countermovement Vertical Jump Test Controller
+ */
+class VerticalJumpTest extends BaseAthleticTest {
+    constructor() {
+        super('vertical-jump');
+        this.eventDetector = new EventDetector();
+        this.measurementCalculator = new MeasurementCalculator();
+
+        // Athlete height (cm) sets the scale; body mass (kg) is optional and gives peak power
+        this.bodyHeight = null;
+        this.bodyMass = null;
+
+        // Standing frames averaged before the jump, and how far (cm) the toes must rise to count as airborne.
+        // The toes stay down while the heels lift, so rising onto them does not count as takeoff
+        this.baselineFrameCount = 10;
+        this.takeoffThreshold = 3;
+
+        this.resetJump();
+    }
+
+    /**
+     * Start calibration
+     * No lines are needed; the athlete's height scales the jump
+     */
+    startCalibration(canvas) {
+        if (!this.bodyHeight) {
+            throw new Error('Vertical jump needs the athlete\'s height');
+        }
+
+        this.isCalibrated = true;
+        if (this.onCalibrationComplete) {
+            this.onCalibrationComplete({ bodyHeight: this.bodyHeight, bodyMass: this.bodyMass });
+        }
+    }
+
+    /**
+     * Start test
+     */
+    startTest() {
+        super.startTest();
+        this.resetJump();
+    }
+
+    /**
+     * Process frame for vertical jump detection
+     * The athlete stands still for the baseline, dips, jumps and lands. Takeoff is the toes leaving the
+     * ground once the hips are back up to standing height, so noise in the dip cannot trigger it; landing
+     * is the toes touching down. The hips also give countermovement depth and peak rise
+     */
+    processFrame(landmarks, timestamp, scale) {
+        if (!this.isRunning || !landmarks) return;
+
+        const midpoint = (left, right) => {
+            const a = PoseDetector.getLandmarkByName(landmarks, left);
+            const b = PoseDetector.getLandmarkByName(landmarks, right);
+            if (!PoseDetector.validateLandmark(a) || !PoseDetector.validateLandmark(b)) return null;
+            return {
+                x: (a.x + b.x) / 2 * scale.imageWidth,
+                y: (a.y + b.y) / 2 * scale.imageHeight
+            };
+        };
+
+        const hip = midpoint('left_hip', 'right_hip');
+        const toes = midpoint('left_foot_index', 'right_foot_index');
+        if (!hip || !toes) return;
+
+        if (!this.baseline) {
+            this.collectBaseline(landmarks, hip, toes, scale);
+            return;
+        }
+
+        const prevData = this.eventDetector.trackPosition('toes', toes, timestamp);
+        if (!prevData) return;
+
+        const groundY = this.baseline.toeY - this.takeoffThreshold / this.baseline.cmPerPx;
+
+        if (this.takeoffTime === null) {
+            // Lowest hip position before takeoff is the bottom of the countermovement
+            this.lowestHipY = Math.max(this.lowestHipY, hip.y);
+
+            // Remember when the toes left the ground; it only counts once the hips are up as well
+            if (this.eventDetector.detectTakeoff(prevData.position, toes, groundY, 0)) {
+                this.toeOffTime = VerticalJumpTest.interpolateCrossing(prevData, toes, timestamp, groundY);
+            } else if (toes.y >= groundY) {
+                this.toeOffTime = null;
+            }
+
+            if (this.toeOffTime !== null && hip.y <= this.baseline.hipY) {
+                this.takeoffTime = this.toeOffTime;
+                this.peakHipY = hip.y;
+
+                if (this.onTestProgress) {
+                    this.onTestProgress('Takeoff detected - tracking jump...');
+                }
+            }
+            return;
+        }
+
+        this.peakHipY = Math.min(this.peakHipY, hip.y);
+
+        if (this.eventDetector.detectLanding(prevData.position, toes, groundY, 0)) {
+            this.landingTime = VerticalJumpTest.interpolateCrossing(prevData, toes, timestamp, groundY);
+            this.finalizeMeasurement();
+        }
+    }
+
+    /**
+     * Average the standing frames: hip and toe height, and the scale from the athlete's height
+     */
+    collectBaseline(landmarks, hip, toes, scale) {
+        const pixelHeight = this.measurementCalculator.getPixelHeight(
+            PoseDetector.getBodyMeasurementLandmarks(landmarks),
+            scale.imageWidth,
+            scale.imageHeight
+        );
+        if (!pixelHeight) return;
+
+        this.baselineSamples.push({ hipY: hip.y, toeY: toes.y, pixelHeight: pixelHeight });
+        if (this.baselineSamples.length < this.baselineFrameCount) return;
+
+        const median = (key) => SmoothingUtils.median(this.baselineSamples.map(sample => sample[key]));
+        this.baseline = {
+            hipY: median('hipY'),
+            toeY: median('toeY'),
+            cmPerPx: this.bodyHeight / median('pixelHeight')
+        };
+        this.lowestHipY = this.baseline.hipY;
+
+        if (this.onTestProgress) {
+            this.onTestProgress('Ready - jump when you like');
+        }
+    }
+
+    /**
+     * Time at which the toes crossed groundY between two frames
+     */
+    static interpolateCrossing(prevData, position, timestamp, groundY) {
+        const dy = position.y - prevData.position.y;
+        const fraction = dy !== 0 ? (groundY - prevData.position.y) / dy : 0;
+        return prevData.timestamp + (timestamp - prevData.timestamp) * Math.min(1, Math.max(0, fraction));
+    }
+
+    /**
+     * Finalize jump measurement
+     * Flight-time height is g·t²/8. Hip rise is the peak hip height above standing. Peak power uses the
+     * Sayers equation: 60.7 × height (cm) + 45.3 × mass (kg) − 2055
+     */
+    finalizeMeasurement() {
+        const flightTime = (this.landingTime - this.takeoffTime) / 1000; // seconds
+        const jumpHeightFlight = 9.81 * flightTime * flightTime / 8 * 100; // cm
+        const jumpHeightHip = (this.baseline.hipY - this.peakHipY) * this.baseline.cmPerPx;
+
+        this.results = {
+            jumpHeightFlight: jumpHeightFlight,
+            jumpHeightHip: jumpHeightHip,
+            flightTime: flightTime,
+            countermovementDepth: (this.lowestHipY - this.baseline.hipY) * this.baseline.cmPerPx,
+            peakPower: this.bodyMass ? 60.7 * jumpHeightFlight + 45.3 * this.bodyMass - 2055 : null,
+            bodyHeight: this.bodyHeight,
+            bodyMass: this.bodyMass,
+            takeoffTime: this.takeoffTime,
+            landingTime: this.landingTime,
+            timestamp: Date.now()
+        };
+
+        this.stopTest();
+
+        if (this.onTestComplete) {
+            this.onTestComplete(this.results);
+        }
+
+        console.log('Vertical jump measurement complete:', this.results);
+    }
+
+    /**
+     * Clear the jump being tracked
+     */
+    resetJump() {
+        this.baselineSamples = [];
+        this.baseline = null;
+        this.lowestHipY = null;
+        this.peakHipY = null;
+        this.toeOffTime = null;
+        this.takeoffTime = null;
+        this.landingTime = null;
+        this.eventDetector.clearTracking();
+    }
+
+    /**
+     * Reset test
+     */
+    resetTest() {
+        super.resetTest();
+        this.resetJump();
+    }
+}
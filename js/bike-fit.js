@@ -0,0 +1,276 @@
+/**
+ * Bike Fit Analyzer
+ * Knee, hip and torso angles at top and bottom dead centre from a side-on pedalling video, with saddle height suggestions
+ */
+class BikeFitAnalyzer {
+    constructor() {
+        // Knee flexion at bottom dead centre the saddle height is aimed at (degrees)
+        this.targetBdcKneeFlexion = { min: 25, max: 35 };
+
+        // Hip angle (shoulder-hip-knee) at top dead centre below which the hip is flagged as closed
+        this.minHipAngle = 45;
+
+        // Shortest time between two pedal strokes (180 rpm) and strokes needed for a result
+        this.minCycleMs = 333;
+        this.minCycles = 3;
+
+        // LeMond reference: saddle height (bottom bracket to saddle top) as a share of inseam
+        this.inseamSaddleRatio = 0.883;
+
+        this.samples = [];
+        this.side = null;
+        this.isRecording = false;
+    }
+
+    /**
+     * Start recording a new set of frames
+     */
+    start() {
+        this.reset();
+        this.isRecording = true;
+    }
+
+    /**
+     * Stop recording; frames are kept for analysis
+     */
+    stop() {
+        this.isRecording = false;
+    }
+
+    /**
+     * Clear recorded frames
+     */
+    reset() {
+        this.samples = [];
+        this.side = null;
+        this.isRecording = false;
+    }
+
+    /**
+     * Record the angles of one video frame
+     * The side facing the camera is picked on the first usable frame and kept for the recording
+     */
+    processFrame(poseLandmarks, timestamp, imageWidth, imageHeight) {
+        if (!this.isRecording || !poseLandmarks || poseLandmarks.length === 0) return null;
+
+        const side = this.side || BikeFitAnalyzer.getCameraSide(poseLandmarks);
+        const landmark = (name) => PoseDetector.getLandmarkByName(poseLandmarks, `${side}_${name}`);
+        const shoulder = landmark('shoulder');
+        const hip = landmark('hip');
+        const knee = landmark('knee');
+        const ankle = landmark('ankle');
+
+        const kneeAngle = PoseDetector.calculateJointAngle(hip, knee, ankle, imageWidth, imageHeight);
+        const hipAngle = PoseDetector.calculateJointAngle(shoulder, hip, knee, imageWidth, imageHeight);
+        if (kneeAngle === null || hipAngle === null) return null;
+
+        this.side = side;
+
+        // Torso angle from horizontal; 90° is upright
+        const dx = Math.abs(shoulder.x - hip.x) * imageWidth;
+        const dy = (hip.y - shoulder.y) * imageHeight;
+        const torsoAngle = Math.atan2(dy, dx) * 180 / Math.PI;
+
+        const sample = {
+            timestamp: timestamp,
+            kneeFlexion: 180 - kneeAngle,
+            hipAngle: hipAngle,
+            torsoAngle: torsoAngle,
+            ankleY: ankle.y
+        };
+
+        this.samples.push(sample);
+        return sample;
+    }
+
+    /**
+     * Pick the side nearer the camera from landmark visibility
+     */
+    static getCameraSide(poseLandmarks) {
+        const visibility = (side) => ['shoulder', 'hip', 'knee', 'ankle'].reduce((sum, name) => {
+            const landmark = PoseDetector.getLandmarkByName(poseLandmarks, `${side}_${name}`);
+            return sum + (landmark ? landmark.visibility || 0 : 0);
+        }, 0);
+
+        return visibility('left') >= visibility('right') ? 'left' : 'right';
+    }
+
+    /**
+     * Analyse the recorded frames
+     * Bottom dead centre is the lowest ankle position of each stroke and top dead centre the highest;
+     * each angle is the median over all strokes
+     */
+    analyze() {
+        const events = this.findPedalEvents();
+        if (events.bdc.length < this.minCycles || events.tdc.length < this.minCycles) {
+            throw new Error(`Need at least ${this.minCycles} full pedal strokes; keep pedalling side-on to the camera`);
+        }
+
+        const at = (indices, key) => SmoothingUtils.median(indices.map(index => this.samples[index][key]));
+
+        const bdcTimes = events.bdc.map(index => this.samples[index].timestamp);
+        const strokeMs = SmoothingUtils.median(bdcTimes.slice(1).map((time, i) => time - bdcTimes[i]));
+
+        const results = {
+            side: this.side,
+            frames: this.samples.length,
+            duration: (this.samples[this.samples.length - 1].timestamp - this.samples[0].timestamp) / 1000,
+            cycles: events.bdc.length,
+            cadence: strokeMs ? 60000 / strokeMs : null,
+            bdcKneeFlexion: at(events.bdc, 'kneeFlexion'),
+            tdcKneeFlexion: at(events.tdc, 'kneeFlexion'),
+            tdcHipAngle: at(events.tdc, 'hipAngle'),
+            torsoAngle: SmoothingUtils.median(this.samples.map(sample => sample.torsoAngle))
+        };
+
+        results.hipClosed = results.tdcHipAngle < this.minHipAngle;
+        return results;
+    }
+
+    /**
+     * Find the frames at bottom and top dead centre
+     * The ankle height is smoothed, then split into down and up half-strokes around its median with a
+     * little hysteresis; the extreme of each half-stroke is the dead centre
+     */
+    findPedalEvents() {
+        const events = { bdc: [], tdc: [] };
+        if (this.samples.length < 5) return events;
+
+        const heights = SmoothingUtils.movingAverage(this.samples.map(sample => sample.ankleY), 3);
+        const sorted = [...heights].sort((a, b) => a - b);
+        const low = sorted[Math.floor(sorted.length * 0.1)];
+        const high = sorted[Math.floor(sorted.length * 0.9)];
+        const middle = SmoothingUtils.median(heights);
+        const hysteresis = (high - low) * 0.15;
+
+        // Image y grows downwards, so the lowest ankle position is the largest y
+        let phase = null;
+        let extreme = null;
+
+        const record = (type, index) => {
+            const list = events[type];
+            const last = list[list.length - 1];
+            if (last === undefined || this.samples[index].timestamp - this.samples[last].timestamp >= this.minCycleMs) {
+                list.push(index);
+            }
+        };
+
+        heights.forEach((height, index) => {
+            if (height > middle + hysteresis) {
+                if (phase === 'up' && extreme !== null) record('tdc', extreme);
+                if (phase !== 'down') {
+                    phase = 'down';
+                    extreme = index;
+                }
+                if (height > heights[extreme]) extreme = index;
+            } else if (height < middle - hysteresis) {
+                if (phase === 'down' && extreme !== null) record('bdc', extreme);
+                if (phase !== 'up') {
+                    phase = 'up';
+                    extreme = index;
+                }
+                if (height < heights[extreme]) extreme = index;
+            }
+        });
+
+        return events;
+    }
+
+    /**
+     * Suggest a saddle height change from the knee flexion at bottom dead centre
+     * The hip-to-ankle distance at the current and target flexion is worked out from thigh and shin lengths
+     * (split from the inseam in the measured thigh:shin proportion); the difference is the change.
+     * currentSaddleHeight (cm, bottom bracket to saddle top) is optional and gives the suggested height
+     */
+    suggestSaddleHeight(results, inseam, segments = {}, currentSaddleHeight = null) {
+        if (!inseam) {
+            throw new Error('Saddle height suggestions need a measured inseam');
+        }
+
+        const thighShare = segments.thigh && segments.shin ? segments.thigh / (segments.thigh + segments.shin) : 0.5;
+        const thigh = inseam * thighShare;
+        const shin = inseam * (1 - thighShare);
+
+        const legReach = (flexion) => {
+            const kneeAngle = (180 - flexion) * Math.PI / 180;
+            return Math.sqrt(thigh * thigh + shin * shin - 2 * thigh * shin * Math.cos(kneeAngle));
+        };
+
+        const flexion = results.bdcKneeFlexion;
+        const { min, max } = this.targetBdcKneeFlexion;
+
+        let status = 'ok';
+        let targetFlexion = flexion;
+        if (flexion < min) {
+            status = 'lower';  // Leg too straight at the bottom of the stroke
+            targetFlexion = (min + max) / 2;
+        } else if (flexion > max) {
+            status = 'raise';  // Knee too bent at the bottom of the stroke
+            targetFlexion = (min + max) / 2;
+        }
+
+        const change = legReach(targetFlexion) - legReach(flexion);
+
+        return {
+            status: status,
+            change: change,
+            targetFlexion: targetFlexion,
+            referenceSaddleHeight: inseam * this.inseamSaddleRatio,
+            currentSaddleHeight: currentSaddleHeight,
+            suggestedSaddleHeight: currentSaddleHeight ? currentSaddleHeight + change : null,
+            inseam: inseam
+        };
+    }
+
+    /**
+     * Compare a session after a fit change with the one before
+     */
+    static compareSessions(before, after) {
+        const comparison = {};
+
+        Object.keys(BikeFitAnalyzer.getMetricLabels()).forEach(metric => {
+            const from = before.results[metric];
+            const to = after.results[metric];
+            comparison[metric] = {
+                before: from,
+                after: to,
+                change: typeof from === 'number' && typeof to === 'number' ? to - from : null
+            };
+        });
+
+        return comparison;
+    }
+
+    /**
+     * Find the before session an after session is compared with
+     * Sessions are stored newest first; the latest before session recorded earlier is used
+     */
+    static findBeforeSession(sessions, afterSession) {
+        return sessions.find(session =>
+            session.phase === 'before' &&
+            session.timestamp < afterSession.timestamp &&
+            (session.athleteName || '') === (afterSession.athleteName || '')
+        ) || null;
+    }
+
+    /**
+     * Get display labels for each metric
+     */
+    static getMetricLabels() {
+        return {
+            bdcKneeFlexion: 'Knee Flexion (BDC)',
+            tdcKneeFlexion: 'Knee Flexion (TDC)',
+            tdcHipAngle: 'Hip Angle (TDC)',
+            torsoAngle: 'Torso Angle',
+            cadence: 'Cadence'
+        };
+    }
+
+    /**
+     * Format a metric value for display
+     */
+    static formatMetric(metric, value) {
+        if (typeof value !== 'number') return '-';
+        return metric === 'cadence' ? `${value.toFixed(0)} rpm` : `${value.toFixed(1)}°`;
+    }
+}
@@ -0,0 +1,178 @@
+/**
+ * Body Index Calculator
+ * BMI, waist-to-height ratio and body-proportion indices from body mass, stature and measured segments
+ */
+class BodyIndexCalculator {
+    constructor() {
+        // Reference bands per index: [upper limit, label, rating], checked in order; the last band has no limit
+        this.referenceBands = {
+            // WHO adult categories; muscular athletes often read high without carrying extra fat
+            bmi: [
+                [18.5, 'Underweight', 'amber'],
+                [25, 'Healthy', 'green'],
+                [30, 'Overweight', 'amber'],
+                [null, 'Obese', 'red']
+            ],
+            // "Keep your waist to less than half your height"
+            waistToHeight: [
+                [0.4, 'Low', 'amber'],
+                [0.5, 'Healthy', 'green'],
+                [0.6, 'Increased risk', 'amber'],
+                [null, 'High risk', 'red']
+            ],
+            // Adult sitting height as % of stature; below the band the legs are relatively long
+            relativeSittingHeight: [
+                [50.5, 'Long legs', 'amber'],
+                [54, 'Typical', 'green'],
+                [null, 'Long trunk', 'amber']
+            ],
+            // Martin's classes of the Cormic index
+            cormicIndex: [
+                [51, 'Brachycormic', 'green'],
+                [53, 'Metriocormic', 'green'],
+                [null, 'Macrocormic', 'green']
+            ],
+            // Ape index; a long span suits swimming, throwing and combat sports
+            armSpanToHeight: [
+                [0.98, 'Short span', 'amber'],
+                [1.03, 'Typical', 'green'],
+                [null, 'Long span', 'amber']
+            ]
+        };
+
+        // Adult-only bands and what to read a younger athlete's value against instead; children's
+        // relative sitting height sits above the adult band until the legs finish growing
+        this.adultAge = 18;
+        this.youthReferences = {
+            bmi: 'Use BMI-for-age',
+            relativeSittingHeight: 'Use age norms'
+        };
+    }
+
+    /**
+     * Calculate every index the inputs allow
+     * Inputs: { stature, bodyMass, waist, sittingHeight, armSpan, age } in cm, kg and years; missing inputs
+     * leave their indices out. Relative sitting height and the Cormic index are both sitting height as % of
+     * stature: the first is read against adult proportions, the second classed after Martin.
+     * Under the adult age BMI and relative sitting height are reported without a band
+     */
+    calculateIndices(inputs) {
+        const { stature, bodyMass, waist, sittingHeight, armSpan, age = null } = inputs;
+        if (!stature) return null;
+
+        const values = {};
+        if (bodyMass) {
+            values.bmi = bodyMass / Math.pow(stature / 100, 2);
+        }
+        if (waist) {
+            values.waistToHeight = waist / stature;
+        }
+        if (sittingHeight && sittingHeight < stature) {
+            values.relativeSittingHeight = sittingHeight / stature * 100;
+            values.cormicIndex = values.relativeSittingHeight;
+        }
+        if (armSpan) {
+            values.armSpanToHeight = armSpan / stature;
+        }
+
+        if (Object.keys(values).length === 0) return null;
+
+        const indices = {};
+        const youth = age !== null && age < this.adultAge;
+        Object.keys(values).forEach(name => {
+            indices[name] = {
+                value: values[name],
+                ...(youth && this.youthReferences[name] ?
+                    { band: this.youthReferences[name], rating: null, range: null } :
+                    this.getBand(name, values[name]))
+            };
+        });
+
+        return {
+            indices: indices,
+            inputs: {
+                stature: stature,
+                bodyMass: bodyMass || null,
+                waist: waist || null,
+                sittingHeight: sittingHeight || null,
+                armSpan: armSpan || null,
+                age: age
+            }
+        };
+    }
+
+    /**
+     * Find the reference band a value falls in
+     */
+    getBand(name, value) {
+        const bands = this.referenceBands[name];
+        const index = bands.findIndex(([limit]) => limit === null || value < limit);
+        const [limit, label, rating] = bands[index];
+
+        return {
+            band: label,
+            rating: rating,
+            range: {
+                min: index > 0 ? bands[index - 1][0] : null,
+                max: limit
+            }
+        };
+    }
+
+    /**
+     * Build index history from saved measurements, oldest first
+     */
+    static getHistory(savedMeasurements) {
+        return savedMeasurements
+            .filter(measurement => measurement.bodyIndices)
+            .map(measurement => {
+                const entry = { id: measurement.id, timestamp: measurement.timestamp, athleteName: measurement.athleteName || null };
+                Object.keys(measurement.bodyIndices.indices).forEach(name => {
+                    entry[name] = measurement.bodyIndices.indices[name].value;
+                });
+                return entry;
+            })
+            .sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    /**
+     * Get display labels for each index
+     */
+    static getIndexLabels() {
+        return {
+            bmi: 'BMI',
+            waistToHeight: 'Waist-to-Height',
+            relativeSittingHeight: 'Relative Sitting Height',
+            cormicIndex: 'Cormic Index',
+            armSpanToHeight: 'Arm Span / Height'
+        };
+    }
+
+    /**
+     * Format an index value for display
+     */
+    static formatIndex(name, value) {
+        if (typeof value !== 'number') return '-';
+
+        switch (name) {
+            case 'bmi':
+                return `${value.toFixed(1)} kg/m²`;
+            case 'relativeSittingHeight':
+                return `${value.toFixed(1)}%`;
+            case 'cormicIndex':
+                return value.toFixed(1);
+            default:
+                return value.toFixed(2);
+        }
+    }
+
+    /**
+     * Format a band's range for display, e.g. "18.5–25"
+     */
+    static formatRange(range) {
+        if (!range) return '-';
+        if (range.min === null) return `< ${range.max}`;
+        if (range.max === null) return `≥ ${range.min}`;
+        return `${range.min}–${range.max}`;
+    }
+}
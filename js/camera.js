@@ -9,6 +9,14 @@ class CameraController {
         this.canvas = document.getElementById('camera-canvas');
         this.ctx = this.canvas.getContext('2d');
         
+        // Which camera is streaming. Photos and frames are drawn straight from the track, which is never
+        // flipped (not even for the front camera), so MediaPipe's left and right are the person's own sides
+        this.facingMode = null;
+
+        // Latest device orientation reading, used to correct for camera tilt
+        this.deviceOrientation = null;
+        this.orientationListener = null;
+        
         // Callbacks
         this.onCameraReady = null;
         this.onCameraError = null;
@@ -37,6 +45,9 @@ class CameraController {
      */
     async startCamera() {
         try {
+            // Asked before the stream starts, while still inside the user's tap (needed on iOS)
+            this.startOrientationTracking();
+
             // Request camera access with mobile-optimized constraints
             const constraints = {
                 video: {
@@ -49,6 +60,7 @@ class CameraController {
 
             this.stream = await navigator.mediaDevices.getUserMedia(constraints);
             this.video.srcObject = this.stream;
+            this.updateCameraInfo(constraints.video.facingMode);
 
             // Wait for video to be ready
             return new Promise((resolve, reject) => {
@@ -88,6 +100,57 @@ class CameraController {
         }
     }
 
+    /**
+     * Record which camera the stream comes from
+     * Some browsers do not report facingMode, so the requested mode is the fallback
+     */
+    updateCameraInfo(requestedFacingMode = null) {
+        const track = this.stream ? this.stream.getVideoTracks()[0] : null;
+        const settings = track && track.getSettings ? track.getSettings() : {};
+
+        this.facingMode = settings.facingMode || requestedFacingMode || null;
+    }
+
+    /**
+     * Get the camera details saved with each photo
+     */
+    getCameraInfo() {
+        return {
+            facingMode: this.facingMode,
+            orientation: this.deviceOrientation ? { ...this.deviceOrientation } : null
+        };
+    }
+
+    /**
+     * Follow the device orientation so each photo records how the camera was tilted
+     * Devices without orientation sensors, or where permission is refused, simply record none
+     */
+    async startOrientationTracking() {
+        if (this.orientationListener || typeof DeviceOrientationEvent === 'undefined') return;
+
+        try {
+            if (typeof DeviceOrientationEvent.requestPermission === 'function') {
+                const permission = await DeviceOrientationEvent.requestPermission();
+                if (permission !== 'granted') return;
+            }
+        } catch (error) {
+            console.warn('Device orientation not available:', error);
+            return;
+        }
+
+        this.orientationListener = (event) => {
+            if (event.beta === null) return;
+
+            const screenAngle = screen.orientation ? screen.orientation.angle : (window.orientation || 0);
+            this.deviceOrientation = {
+                beta: event.beta,
+                gamma: event.gamma,
+                screenAngle: screenAngle > 180 ? screenAngle - 360 : screenAngle
+            };
+        };
+        window.addEventListener('deviceorientation', this.orientationListener);
+    }
+
     /**
      * Update canvas size to match video
      */
@@ -135,10 +198,91 @@ class CameraController {
             dataURL: dataURL,
             width: captureCanvas.width,
             height: captureCanvas.height,
-            canvas: captureCanvas
+            canvas: captureCanvas,
+            source: 'camera',
+            camera: this.getCameraInfo()
         };
     }
 
+    /**
+     * Load an image file into the same photo object that capturePhoto returns
+     * Large photos are scaled down so the longest side is at most maxDimension
+     */
+    async loadPhotoFile(file, maxDimension = 1280) {
+        if (!file || !file.type.startsWith('image/')) {
+            throw new Error('Please choose an image file');
+        }
+
+        const image = await this.loadImageElement(file);
+        const scale = Math.min(1, maxDimension / Math.max(image.naturalWidth, image.naturalHeight));
+
+        // Create a capture canvas with the (scaled) image dimensions
+        const captureCanvas = document.createElement('canvas');
+        const captureCtx = captureCanvas.getContext('2d');
+
+        captureCanvas.width = Math.round(image.naturalWidth * scale);
+        captureCanvas.height = Math.round(image.naturalHeight * scale);
+
+        captureCtx.drawImage(image, 0, 0, captureCanvas.width, captureCanvas.height);
+
+        const imageData = captureCtx.getImageData(0, 0, captureCanvas.width, captureCanvas.height);
+        const dataURL = captureCanvas.toDataURL('image/jpeg', 0.9);
+
+        return {
+            imageData: imageData,
+            dataURL: dataURL,
+            width: captureCanvas.width,
+            height: captureCanvas.height,
+            canvas: captureCanvas,
+            source: 'file',
+            fileName: file.name,
+            camera: { facingMode: null }
+        };
+    }
+
+    /**
+     * Decode an image file into an image element
+     */
+    loadImageElement(file) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const image = new Image();
+
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(image);
+            };
+
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error(`Could not read ${file.name} as an image`));
+            };
+
+            image.src = url;
+        });
+    }
+
+    /**
+     * Capture a burst of frames spread evenly over a time window
+     */
+    async captureBurst(frameCount = 10, durationMs = 2000) {
+        if (!this.stream || !this.video.videoWidth) {
+            throw new Error('Camera not ready');
+        }
+
+        const interval = frameCount > 1 ? durationMs / (frameCount - 1) : 0;
+        const frames = [];
+
+        for (let i = 0; i < frameCount; i++) {
+            if (i > 0) {
+                await new Promise(resolve => setTimeout(resolve, interval));
+            }
+            frames.push(this.capturePhoto());
+        }
+
+        return frames;
+    }
+
     /**
      * Stop camera stream
      */
@@ -183,6 +327,37 @@ class CameraController {
         };
     }
 
+    /**
+     * Grab the current video frame without encoding a data URL
+     */
+    captureFrame() {
+        if (!this.stream || !this.video.videoWidth) {
+            throw new Error('Camera not ready');
+        }
+
+        // Create canvas for current frame
+        const frameCanvas = document.createElement('canvas');
+        const frameCtx = frameCanvas.getContext('2d');
+        
+        frameCanvas.width = this.video.videoWidth;
+        frameCanvas.height = this.video.videoHeight;
+        
+        // Draw current video frame
+        frameCtx.drawImage(this.video, 0, 0, frameCanvas.width, frameCanvas.height);
+        
+        // Get image data
+        const imageData = frameCtx.getImageData(0, 0, frameCanvas.width, frameCanvas.height);
+
+        return {
+            imageData: imageData,
+            canvas: frameCanvas,
+            width: frameCanvas.width,
+            height: frameCanvas.height,
+            timestamp: performance.now(),
+            camera: this.getCameraInfo()
+        };
+    }
+
     /**
      * Start frame loop for continuous processing
      */
@@ -198,28 +373,9 @@ class CameraController {
             if (!this.isFrameLoopRunning) return;
             
             try {
-                // Create canvas for current frame
-                const frameCanvas = document.createElement('canvas');
-                const frameCtx = frameCanvas.getContext('2d');
-                
-                frameCanvas.width = this.video.videoWidth;
-                frameCanvas.height = this.video.videoHeight;
-                
-                // Draw current video frame
-                frameCtx.drawImage(this.video, 0, 0, frameCanvas.width, frameCanvas.height);
-                
-                // Get image data
-                const imageData = frameCtx.getImageData(0, 0, frameCanvas.width, frameCanvas.height);
-                
                 // Call frame callback
                 if (this.onFrame) {
-                    this.onFrame({
-                        imageData: imageData,
-                        canvas: frameCanvas,
-                        width: frameCanvas.width,
-                        height: frameCanvas.height,
-                        timestamp: performance.now()
-                    });
+                    this.onFrame(this.captureFrame());
                 }
                 
             } catch (error) {
@@ -269,6 +425,7 @@ class CameraController {
 
             this.stream = await navigator.mediaDevices.getUserMedia(constraints);
             this.video.srcObject = this.stream;
+            this.updateCameraInfo(newFacingMode);
             
         } catch (error) {
             // Fallback to any available camera
@@ -282,6 +439,7 @@ class CameraController {
                 
                 this.stream = await navigator.mediaDevices.getUserMedia(constraints);
                 this.video.srcObject = this.stream;
+                this.updateCameraInfo();
             } catch (fallbackError) {
                 if (this.onCameraError) {
                     this.onCameraError('Failed to switch camera');
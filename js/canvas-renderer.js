@@ -25,6 +25,28 @@ class CanvasRenderer {
                 strokeWidth: 4,
                 dashPattern: [5, 5]
             },
+            bilateral: {
+                left: '#FFE66D',
+                right: '#A29BFE'
+            },
+            angle: {
+                radius: 30,
+                labelOffset: 20
+            },
+            posture: {
+                green: '#2ECC71',
+                amber: '#F39C12',
+                red: '#E74C3C',
+                referenceLength: 60
+            },
+            edited: {
+                strokeColor: '#FF9F43',
+                radius: 10
+            },
+            stature: {
+                strokeColor: '#4ECDC4',
+                tickLength: 20
+            },
             text: {
                 fillColor: '#FFFFFF',
                 strokeColor: '#000000',
@@ -146,9 +168,194 @@ class CanvasRenderer {
      * Draw measurement lines and labels
      */
     drawMeasurementLines(measurements, imageWidth, imageHeight) {
-        const bodyLandmarks = measurements.bodyLandmarks;
-        const segments = measurements.segments;
-        const side = measurements.usedSide;
+        // Draw each side in its own colour when both were measured
+        if (measurements.bilateral) {
+            ['left', 'right'].forEach(side => {
+                this.drawSideMeasurementLines(
+                    measurements.bodyLandmarks,
+                    measurements.bilateral[side],
+                    side,
+                    imageWidth,
+                    imageHeight,
+                    true
+                );
+            });
+        } else {
+            this.drawSideMeasurementLines(
+                measurements.bodyLandmarks,
+                measurements.segments,
+                measurements.usedSide,
+                imageWidth,
+                imageHeight
+            );
+        }
+
+        this.drawWholeBodyMeasurementLines(measurements.bodyLandmarks, measurements.segments, imageWidth, imageHeight);
+
+        // Head top to lowest foot point when the scale came from the segmentation mask
+        if (measurements.statureExtents) {
+            this.drawStatureLine(measurements.statureExtents, imageWidth, imageHeight);
+        }
+    }
+
+    /**
+     * Draw joint angle arcs with degree labels on both sides
+     */
+    drawJointAngles(poseLandmarks, angles, imageWidth, imageHeight) {
+        Object.keys(angles.joints).forEach(jointName => {
+            ['left', 'right'].forEach(side => {
+                const angle = angles.joints[jointName][side];
+                if (angle === null) return;
+
+                const points = RangeOfMotionCalculator.getJointLandmarks(poseLandmarks, jointName, side)
+                    .map(landmark => ({ x: landmark.x * imageWidth, y: landmark.y * imageHeight }));
+
+                this.drawAngleArc(points[1], points[0], points[2], RangeOfMotionCalculator.formatAngle(angle), this.styles.bilateral[side]);
+            });
+        });
+    }
+
+    /**
+     * Draw an arc at a joint between two rays, labelled on its bisector
+     */
+    drawAngleArc(joint, point1, point2, label, color = '#FFE66D') {
+        const style = this.styles.angle;
+        const angle1 = Math.atan2(point1.y - joint.y, point1.x - joint.x);
+        const angle2 = Math.atan2(point2.y - joint.y, point2.x - joint.x);
+
+        // Sweep the smaller way round
+        let sweep = angle2 - angle1;
+        if (sweep > Math.PI) sweep -= 2 * Math.PI;
+        if (sweep < -Math.PI) sweep += 2 * Math.PI;
+
+        this.ctx.beginPath();
+        this.ctx.arc(joint.x, joint.y, style.radius, angle1, angle1 + sweep, sweep < 0);
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = 3;
+        this.ctx.stroke();
+
+        const bisector = angle1 + sweep / 2;
+        const labelDistance = style.radius + style.labelOffset;
+        this.drawTextLabel(
+            joint.x + Math.cos(bisector) * labelDistance,
+            joint.y + Math.sin(bisector) * labelDistance,
+            label,
+            color
+        );
+    }
+
+    /**
+     * Draw posture items over a photo, coloured by rating
+     */
+    drawPostureOverlay(items, imageWidth, imageHeight) {
+        const labels = PostureAssessor.getItemLabels();
+
+        Object.keys(items).forEach(itemName => {
+            const item = items[itemName];
+            if (!item || !item.overlay) return;
+
+            const color = this.styles.posture[item.rating];
+            const label = `${labels[itemName]} ${Math.abs(item.value).toFixed(1)}°`;
+            const toPixels = (landmark) => ({ x: landmark.x * imageWidth, y: landmark.y * imageHeight });
+
+            if (item.overlay.type === 'chain') {
+                item.overlay.points.forEach((chain, index) => {
+                    const [hip, knee, ankle] = chain.map(toPixels);
+                    this.drawGuideLine(hip, knee, null, color);
+                    this.drawGuideLine(knee, ankle, null, color);
+                    if (index === 0) this.drawTextLabel(knee.x, knee.y - 20, label, color);
+                });
+                return;
+            }
+
+            const [p1, p2] = item.overlay.points.map(toPixels);
+            const reference = this.styles.posture.referenceLength;
+
+            if (item.overlay.type === 'level') {
+                // Horizontal reference through the lower point
+                const lower = p1.y > p2.y ? p1 : p2;
+                const towards = lower === p1 ? Math.sign(p2.x - p1.x) : Math.sign(p1.x - p2.x);
+                this.drawGuideLine(lower, { x: lower.x + towards * reference, y: lower.y }, null, '#FFFFFF');
+            } else {
+                // Vertical reference up from the shoulder
+                this.drawGuideLine(p1, { x: p1.x, y: p1.y - reference }, null, '#FFFFFF');
+            }
+
+            this.drawGuideLine(p1, p2, label, color);
+        });
+    }
+
+    /**
+     * Ring landmarks that were moved by hand
+     */
+    drawEditedLandmarks(edits, imageWidth, imageHeight) {
+        const style = this.styles.edited;
+
+        edits.forEach(edit => {
+            this.ctx.beginPath();
+            this.ctx.arc(edit.corrected.x * imageWidth, edit.corrected.y * imageHeight, style.radius, 0, 2 * Math.PI);
+            this.ctx.strokeStyle = style.strokeColor;
+            this.ctx.lineWidth = 3;
+            this.ctx.stroke();
+        });
+    }
+
+    /**
+     * Draw the stature found in the segmentation mask, beside the body
+     */
+    drawStatureLine(extents, imageWidth, imageHeight) {
+        const style = this.styles.stature;
+        const x = Math.max(style.tickLength, Math.min(extents.top.x, extents.bottom.x) * imageWidth - imageWidth * 0.12);
+        const top = extents.top.y * imageHeight;
+        const bottom = extents.bottom.y * imageHeight;
+
+        // Ticks at the head top and the floor
+        this.ctx.beginPath();
+        this.ctx.moveTo(x - style.tickLength / 2, top);
+        this.ctx.lineTo(x + style.tickLength / 2, top);
+        this.ctx.moveTo(x - style.tickLength / 2, bottom);
+        this.ctx.lineTo(x + style.tickLength / 2, bottom);
+        this.ctx.strokeStyle = style.strokeColor;
+        this.ctx.lineWidth = 3;
+        this.ctx.stroke();
+
+        this.drawGuideLine({ x, y: top }, { x, y: bottom }, 'Stature', style.strokeColor);
+    }
+
+    /**
+     * Draw breadth lines that run across the body
+     */
+    drawWholeBodyMeasurementLines(bodyLandmarks, segments, imageWidth, imageHeight) {
+        const segmentPairs = {
+            shoulderWidth: [bodyLandmarks.leftShoulder, bodyLandmarks.rightShoulder],
+            hipWidth: [bodyLandmarks.leftHip, bodyLandmarks.rightHip]
+        };
+
+        Object.keys(segmentPairs).forEach(segmentName => {
+            const [startLandmark, endLandmark] = segmentPairs[segmentName];
+            const measurement = segments[segmentName];
+
+            if (measurement &&
+                PoseDetector.validateLandmark(startLandmark) &&
+                PoseDetector.validateLandmark(endLandmark)) {
+
+                this.drawMeasurementLine(
+                    startLandmark,
+                    endLandmark,
+                    measurement,
+                    segmentName,
+                    imageWidth,
+                    imageHeight
+                );
+            }
+        });
+    }
+
+    /**
+     * Draw measurement lines for one side of the body
+     */
+    drawSideMeasurementLines(bodyLandmarks, segments, side, imageWidth, imageHeight, isBilateral = false) {
+        const color = isBilateral ? this.styles.bilateral[side] : null;
         
         // Define segment landmark pairs
         const segmentPairs = {
@@ -167,7 +374,20 @@ class CanvasRenderer {
             shin: [
                 side === 'left' ? bodyLandmarks.leftKnee : bodyLandmarks.rightKnee,
                 side === 'left' ? bodyLandmarks.leftAnkle : bodyLandmarks.rightAnkle
+            ],
+            torso: [
+                side === 'left' ? bodyLandmarks.leftShoulder : bodyLandmarks.rightShoulder,
+                side === 'left' ? bodyLandmarks.leftHip : bodyLandmarks.rightHip
+            ],
+            foot: [
+                side === 'left' ? bodyLandmarks.leftHeel : bodyLandmarks.rightHeel,
+                side === 'left' ? bodyLandmarks.leftFootIndex : bodyLandmarks.rightFootIndex
+            ],
+            hand: [
+                side === 'left' ? bodyLandmarks.leftWrist : bodyLandmarks.rightWrist,
+                side === 'left' ? bodyLandmarks.leftIndex : bodyLandmarks.rightIndex
             ]
+            // Inseam is not drawn - it would run over the thigh and shin lines
         };
 
         // Draw each measurement
@@ -185,7 +405,9 @@ class CanvasRenderer {
                     measurement, 
                     segmentName,
                     imageWidth,
-                    imageHeight
+                    imageHeight,
+                    color,
+                    isBilateral ? side : null
                 );
             }
         });
@@ -194,7 +416,7 @@ class CanvasRenderer {
     /**
      * Draw measurement line with label
      */
-    drawMeasurementLine(startLandmark, endLandmark, measurement, segmentName, imageWidth, imageHeight) {
+    drawMeasurementLine(startLandmark, endLandmark, measurement, segmentName, imageWidth, imageHeight, color = null, side = null) {
         const startX = startLandmark.x * imageWidth;
         const startY = startLandmark.y * imageHeight;
         const endX = endLandmark.x * imageWidth;
@@ -206,7 +428,7 @@ class CanvasRenderer {
         this.ctx.moveTo(startX, startY);
         this.ctx.lineTo(endX, endY);
         
-        this.ctx.strokeStyle = style.strokeColor;
+        this.ctx.strokeStyle = color || style.strokeColor;
         this.ctx.lineWidth = style.strokeWidth;
         this.ctx.setLineDash(style.dashPattern);
         this.ctx.stroke();
@@ -217,13 +439,13 @@ class CanvasRenderer {
         const midY = (startY + endY) / 2;
         const label = `${measurement.toFixed(1)} cm`;
         
-        this.drawMeasurementLabel(midX, midY, label, segmentName);
+        this.drawMeasurementLabel(midX, midY, label, segmentName, side);
     }
 
     /**
      * Draw measurement label with background
      */
-    drawMeasurementLabel(x, y, text, segmentName) {
+    drawMeasurementLabel(x, y, text, segmentName, side = null) {
         const textStyle = this.styles.text;
         const bgStyle = this.styles.background;
         
@@ -236,8 +458,8 @@ class CanvasRenderer {
         const textHeight = 16; // Approximate font height
         
         // Calculate label position (offset to avoid overlap)
-        const offsetX = this.getLabelOffset(segmentName).x;
-        const offsetY = this.getLabelOffset(segmentName).y;
+        const offsetX = this.getLabelOffset(segmentName, side).x;
+        const offsetY = this.getLabelOffset(segmentName, side).y;
         const labelX = x + offsetX;
         const labelY = y + offsetY;
         
@@ -268,15 +490,28 @@ class CanvasRenderer {
     /**
      * Get label offset for different segments to avoid overlap
      */
-    getLabelOffset(segmentName) {
+    getLabelOffset(segmentName, side = null) {
         const offsets = {
             upperArm: { x: -30, y: -20 },
             forearm: { x: 30, y: -20 },
             thigh: { x: -40, y: 0 },
-            shin: { x: 40, y: 0 }
+            shin: { x: 40, y: 0 },
+            torso: { x: -50, y: 0 },
+            foot: { x: 0, y: 20 },
+            hand: { x: 40, y: 10 },
+            shoulderWidth: { x: 0, y: -25 },
+            hipWidth: { x: 0, y: 20 }
         };
         
-        return offsets[segmentName] || { x: 0, y: -20 };
+        const offset = offsets[segmentName] || { x: 0, y: -20 };
+        
+        // Push bilateral labels outwards so the two sides don't overlap
+        // (the subject's left appears on the image's right when facing the camera)
+        if (side) {
+            return { x: Math.abs(offset.x) * (side === 'left' ? 1 : -1), y: offset.y };
+        }
+        
+        return offset;
     }
 
     /**
@@ -490,6 +725,63 @@ class CanvasRenderer {
         this.ctx.stroke();
     }
 
+    /**
+     * Draw a growth curve of { timestamp, value } points, spaced by date
+     * Intervals flagged as spurts are drawn in the highlight colour. Draws on the given context, so the
+     * chart can go on its own canvas
+     */
+    drawGrowthChart(ctx, points, intervals, x, y, width, height, color = '#4ECDC4', highlightColor = '#E74C3C') {
+        if (!points || points.length < 2) return;
+
+        const minTime = points[0].timestamp;
+        const timeRange = points[points.length - 1].timestamp - minTime || 1;
+        const minVal = Math.min(...points.map(point => point.value));
+        const maxVal = Math.max(...points.map(point => point.value));
+        const range = maxVal - minVal || 1;
+
+        const toPixel = (timestamp, value) => ({
+            x: x + ((timestamp - minTime) / timeRange) * width,
+            y: y + height - ((value - minVal) / range) * height
+        });
+
+        // Draw background
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.fillRect(x, y, width, height);
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.2)';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x, y, width, height);
+
+        // Draw each interval so spurts can be coloured
+        const valueAt = (timestamp) => points.find(point => point.timestamp === timestamp).value;
+        intervals.forEach(interval => {
+            const start = toPixel(interval.from, valueAt(interval.from));
+            const end = toPixel(interval.to, valueAt(interval.to));
+
+            ctx.beginPath();
+            ctx.moveTo(start.x, start.y);
+            ctx.lineTo(end.x, end.y);
+            ctx.strokeStyle = interval.spurt ? highlightColor : color;
+            ctx.lineWidth = 2;
+            ctx.stroke();
+        });
+
+        // Mark every record
+        ctx.fillStyle = color;
+        points.forEach(point => {
+            const pixel = toPixel(point.timestamp, point.value);
+            ctx.beginPath();
+            ctx.arc(pixel.x, pixel.y, 3, 0, 2 * Math.PI);
+            ctx.fill();
+        });
+
+        // Range labels
+        ctx.font = '10px Arial';
+        ctx.fillStyle = '#666666';
+        ctx.textAlign = 'left';
+        ctx.fillText(`${maxVal.toFixed(1)} cm`, x + 4, y + 12);
+        ctx.fillText(`${minVal.toFixed(1)} cm`, x + 4, y + height - 4);
+    }
+
     /**
      * Draw text label with background
      */
@@ -0,0 +1,270 @@
+/**
+ * Circumference Estimator
+ * Estimates chest, waist and hip girths from a paired front and side photo
+ */
+class CircumferenceEstimator {
+    constructor() {
+        // Torso levels as a fraction of the shoulder-to-hip distance
+        this.levels = {
+            chest: 0.3,
+            waist: 0.65,
+            hip: 1.08
+        };
+
+        // Proportional fallbacks when no silhouette edge can be found
+        this.widthFactors = {
+            chest: 0.8,  // Chest breadth relative to shoulder landmark width
+            waist: 0.88, // Waist breadth relative to chest breadth
+            hip: 1.5     // Hip breadth relative to hip landmark width
+        };
+
+        this.depthRatios = {
+            chest: 0.75,
+            waist: 0.72,
+            hip: 0.7
+        };
+
+        // Torso cross-sections are squarer than an ellipse
+        this.shapeFactors = {
+            chest: 1.12,
+            waist: 1.07,
+            hip: 1.04
+        };
+
+        // Silhouette edge detection settings
+        this.edgeDetection = {
+            colorThreshold: 60,   // Summed RGB difference that counts as "not torso"
+            consecutivePixels: 3, // Pixels in a row needed to confirm an edge
+            minRatio: 0.7,        // Accepted span relative to the proportional estimate
+            maxRatio: 1.4
+        };
+    }
+
+    /**
+     * Estimate circumferences from front and side views
+     * Each view is { landmarks, pixelToCmRatio, photo }
+     */
+    estimateCircumferences(frontView, sideView) {
+        const widths = this.measureFrontWidths(frontView);
+        if (!widths) {
+            throw new Error('Could not find torso in the front photo');
+        }
+
+        const depths = this.measureSideDepths(sideView, widths);
+
+        const circumferences = {};
+        const details = {};
+
+        Object.keys(this.levels).forEach(level => {
+            const width = widths[level];
+            const depth = depths[level];
+
+            if (!width || !depth) {
+                circumferences[level] = null;
+                return;
+            }
+
+            const circumference = CircumferenceEstimator.ellipsePerimeter(width.value, depth.value) *
+                this.shapeFactors[level];
+
+            circumferences[level] = circumference;
+            details[level] = {
+                width: width.value,
+                depth: depth.value,
+                widthMethod: width.method,
+                depthMethod: depth.method
+            };
+        });
+
+        return {
+            circumferences: circumferences,
+            details: details
+        };
+    }
+
+    /**
+     * Measure torso widths at each level from the front view
+     */
+    measureFrontWidths(frontView) {
+        const { landmarks, pixelToCmRatio, photo } = frontView;
+        const bodyLandmarks = PoseDetector.getBodyMeasurementLandmarks(landmarks);
+        const { leftShoulder, rightShoulder, leftHip, rightHip } = bodyLandmarks;
+
+        if (!PoseDetector.validateLandmark(leftShoulder) || !PoseDetector.validateLandmark(rightShoulder) ||
+            !PoseDetector.validateLandmark(leftHip) || !PoseDetector.validateLandmark(rightHip)) {
+            return null;
+        }
+
+        const shoulderMid = this.toPixels(this.midpoint(leftShoulder, rightShoulder), photo);
+        const hipMid = this.toPixels(this.midpoint(leftHip, rightHip), photo);
+
+        const shoulderWidth = PoseDetector.calculatePixelDistance(leftShoulder, rightShoulder, photo.width, photo.height);
+        const hipJointWidth = PoseDetector.calculatePixelDistance(leftHip, rightHip, photo.width, photo.height);
+
+        // Proportional estimates in pixels
+        const chestEstimate = shoulderWidth * this.widthFactors.chest;
+        const expected = {
+            chest: chestEstimate,
+            waist: chestEstimate * this.widthFactors.waist,
+            hip: hipJointWidth * this.widthFactors.hip
+        };
+
+        const widths = {};
+        Object.keys(this.levels).forEach(level => {
+            const point = this.interpolate(shoulderMid, hipMid, this.levels[level]);
+            widths[level] = this.measureSpan(photo, point, expected[level], pixelToCmRatio);
+        });
+
+        return widths;
+    }
+
+    /**
+     * Measure torso depths at each level from the side view
+     */
+    measureSideDepths(sideView, widths) {
+        const depths = {};
+
+        Object.keys(this.levels).forEach(level => {
+            depths[level] = widths[level] ? {
+                value: widths[level].value * this.depthRatios[level],
+                method: 'proportional'
+            } : null;
+        });
+
+        if (!sideView) return depths;
+
+        const { landmarks, pixelToCmRatio, photo } = sideView;
+        const bodyLandmarks = PoseDetector.getBodyMeasurementLandmarks(landmarks);
+        const side = PoseDetector.getBestSideForMeasurement(landmarks);
+        const shoulder = side === 'left' ? bodyLandmarks.leftShoulder : bodyLandmarks.rightShoulder;
+        const hip = side === 'left' ? bodyLandmarks.leftHip : bodyLandmarks.rightHip;
+
+        if (!pixelToCmRatio || !PoseDetector.validateLandmark(shoulder) || !PoseDetector.validateLandmark(hip)) {
+            return depths;
+        }
+
+        const shoulderPoint = this.toPixels(shoulder, photo);
+        const hipPoint = this.toPixels(hip, photo);
+
+        Object.keys(this.levels).forEach(level => {
+            if (!depths[level]) return;
+
+            const point = this.interpolate(shoulderPoint, hipPoint, this.levels[level]);
+            const expectedPixels = depths[level].value / pixelToCmRatio;
+            const measured = this.measureSpan(photo, point, expectedPixels, pixelToCmRatio);
+
+            if (measured.method === 'silhouette') {
+                depths[level] = measured;
+            }
+        });
+
+        return depths;
+    }
+
+    /**
+     * Measure the silhouette span at a point, falling back to the expected value
+     */
+    measureSpan(photo, point, expectedPixels, pixelToCmRatio) {
+        const { minRatio, maxRatio } = this.edgeDetection;
+        const span = photo.imageData ? this.findSilhouetteSpan(
+            photo.imageData,
+            Math.round(point.x),
+            Math.round(point.y),
+            expectedPixels * maxRatio / 2
+        ) : null;
+
+        if (span && span >= expectedPixels * minRatio && span <= expectedPixels * maxRatio) {
+            return { value: span * pixelToCmRatio, method: 'silhouette' };
+        }
+
+        return { value: expectedPixels * pixelToCmRatio, method: 'proportional' };
+    }
+
+    /**
+     * Find the horizontal span of the body on an image row
+     * Walks outwards from the centre until the colour departs from the torso colour
+     */
+    findSilhouetteSpan(imageData, centerX, y, maxHalfSpan) {
+        const { width, height, data } = imageData;
+        if (y < 2 || y >= height - 2 || centerX < 2 || centerX >= width - 2) return null;
+
+        // Reference colour averaged over a small window at the centre
+        const reference = [0, 0, 0];
+        let samples = 0;
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                const index = ((y + dy) * width + (centerX + dx)) * 4;
+                reference[0] += data[index];
+                reference[1] += data[index + 1];
+                reference[2] += data[index + 2];
+                samples++;
+            }
+        }
+        reference[0] /= samples;
+        reference[1] /= samples;
+        reference[2] /= samples;
+
+        const findEdge = (direction) => {
+            let run = 0;
+            for (let offset = 1; offset <= maxHalfSpan; offset++) {
+                const x = centerX + offset * direction;
+                if (x < 0 || x >= width) return null;
+
+                const index = (y * width + x) * 4;
+                const difference = Math.abs(data[index] - reference[0]) +
+                    Math.abs(data[index + 1] - reference[1]) +
+                    Math.abs(data[index + 2] - reference[2]);
+
+                run = difference > this.edgeDetection.colorThreshold ? run + 1 : 0;
+                if (run >= this.edgeDetection.consecutivePixels) {
+                    return offset - run + 1;
+                }
+            }
+            return null;
+        };
+
+        const leftEdge = findEdge(-1);
+        const rightEdge = findEdge(1);
+
+        return leftEdge && rightEdge ? leftEdge + rightEdge : null;
+    }
+
+    /**
+     * Midpoint of two landmarks in normalized coordinates
+     */
+    midpoint(landmark1, landmark2) {
+        return {
+            x: (landmark1.x + landmark2.x) / 2,
+            y: (landmark1.y + landmark2.y) / 2
+        };
+    }
+
+    /**
+     * Convert normalized coordinates to pixels
+     */
+    toPixels(point, photo) {
+        return {
+            x: point.x * photo.width,
+            y: point.y * photo.height
+        };
+    }
+
+    /**
+     * Linear interpolation between two points
+     */
+    interpolate(p1, p2, t) {
+        return {
+            x: p1.x + (p2.x - p1.x) * t,
+            y: p1.y + (p2.y - p1.y) * t
+        };
+    }
+
+    /**
+     * Perimeter of an ellipse from its full width and depth (Ramanujan)
+     */
+    static ellipsePerimeter(width, depth) {
+        const a = width / 2;
+        const b = depth / 2;
+        return Math.PI * (3 * (a + b) - Math.sqrt((3 * a + b) * (a + 3 * b)));
+    }
+}
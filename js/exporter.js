@@ -31,6 +31,7 @@ class DataExporter {
             broadJumpResults: this.storage.getTestResults('broad-jump'),
             sprintResults: this.storage.getTestResults('sprint'),
             kickResults: this.storage.getTestResults('kick'),
+            verticalJumpResults: this.storage.getTestResults('vertical-jump'),
             userHeight: this.storage.getUserHeight(),
             calibrations: this.getCalibrationData()
         };
@@ -80,6 +81,7 @@ class DataExporter {
                 type: 'body_measurements'
             },
             measurements: this.storage.getSavedMeasurements(),
+            bodyIndices: BodyIndexCalculator.getHistory(this.storage.getSavedMeasurements()),
             userHeight: this.storage.getUserHeight(),
             settings: this.storage.getSettings()
         };
@@ -87,6 +89,435 @@ class DataExporter {
         return this.downloadJSON(exportData, 'body-measurements.json');
     }
 
+    /**
+     * Export body measurements as CSV, one column per measurement
+     */
+    exportBodyMeasurementsCSV() {
+        if (!this.storage) {
+            throw new Error('Storage not initialized');
+        }
+
+        const segmentNames = MeasurementCalculator.getSegmentNames();
+        const girthNames = ['chest', 'waist', 'hip'];
+        const indexNames = Object.keys(BodyIndexCalculator.getIndexLabels());
+
+        const header = [
+            'id', 'date', 'userHeight', 'usedSide', 'scaleSource', 'referenceObject', 'measurementMode', 'posture', 'cameraTilt', 'normTable', 'outsideNorms', 'photoSource', 'editedLandmarks',
+            'maturityOffset', 'ageAtPHV', 'percentAdultHeight', 'maturityStatus',
+            ...segmentNames,
+            ...segmentNames.map(name => `${name}PlusMinus`),
+            ...girthNames.map(name => `${name}Girth`),
+            'bodyMass', ...indexNames
+        ];
+
+        const rows = this.storage.getSavedMeasurements().map(measurement => {
+            const segments = measurement.segments || {};
+            const circumferences = measurement.circumferences || {};
+            const uncertainty = measurement.uncertainty || {};
+            const indices = measurement.bodyIndices ? measurement.bodyIndices.indices : {};
+
+            return [
+                measurement.id,
+                new Date(measurement.timestamp).toISOString(),
+                measurement.userHeight,
+                measurement.usedSide,
+                measurement.scaleSource || 'user-height',
+                measurement.referenceObject ? measurement.referenceObject.label : '',
+                measurement.measurementMode || '2d',
+                measurement.posture || 'standing',
+                this.formatCSVNumber(measurement.perspective?.tiltDegrees),
+                measurement.normTable ? measurement.normTable.id : '',
+                (measurement.validationWarnings || []).map(warning => warning.segment).join(';'),
+                measurement.photoSource ? measurement.photoSource.fileName || measurement.photoSource.type : '',
+                (measurement.landmarkEdits || []).map(edit => edit.name).join(';'),
+                this.formatCSVNumber(measurement.maturity?.maturityOffset, 2),
+                this.formatCSVNumber(measurement.maturity?.ageAtPHV, 2),
+                this.formatCSVNumber(measurement.maturity?.percentAdultHeight),
+                measurement.maturity ? measurement.maturity.status : '',
+                ...segmentNames.map(name => this.formatCSVNumber(segments[name])),
+                ...segmentNames.map(name => this.formatCSVNumber(uncertainty[name]?.plusMinus)),
+                ...girthNames.map(name => this.formatCSVNumber(circumferences[name])),
+                this.formatCSVNumber(measurement.bodyIndices?.inputs.bodyMass),
+                ...indexNames.map(name => this.formatCSVNumber(indices[name]?.value, name === 'bmi' ? 1 : 3))
+            ];
+        });
+
+        return this.downloadCSV([header, ...rows], `body-measurements-${this.formatDateForFilename()}.csv`);
+    }
+
+    /**
+     * Export a team kit order sheet as CSV
+     * Recommendations are { athleteName, measurement, recommendation } rows; size totals follow the athletes
+     */
+    exportTeamOrderSheet(chart, recommendations) {
+        const dimensions = Object.keys(SizeCharts.getDimensionLabels());
+
+        const header = [
+            'athlete', 'measuredOn', 'brand', 'chart', 'size', 'fitConfidence',
+            ...dimensions, 'notes'
+        ];
+
+        const rows = recommendations.map(({ athleteName, measurement, recommendation }) => {
+            const athleteDimensions = SizeCharts.getAthleteDimensions(measurement);
+            const outside = recommendation ? Object.keys(recommendation.fits)
+                .filter(dimension => recommendation.fits[dimension].status !== 'ok')
+                .map(dimension => `${dimension} ${recommendation.fits[dimension].status === 'small' ? 'above' : 'below'} range`) : [];
+            const missing = recommendation ? recommendation.missing.map(dimension => `no ${dimension}`) : ['no matching measurements'];
+
+            return [
+                athleteName,
+                new Date(measurement.timestamp).toISOString().split('T')[0],
+                chart.brand,
+                chart.label,
+                recommendation ? recommendation.size : '',
+                recommendation ? `${Math.round(recommendation.confidence * 100)}%` : '',
+                ...dimensions.map(dimension => this.formatCSVNumber(athleteDimensions[dimension])),
+                [...outside, ...missing].join('; ')
+            ];
+        });
+
+        // Size totals for the order
+        const totals = {};
+        recommendations.forEach(({ recommendation }) => {
+            if (recommendation) {
+                totals[recommendation.size] = (totals[recommendation.size] || 0) + 1;
+            }
+        });
+        const totalRows = chart.sizes
+            .filter(size => totals[size.size])
+            .map(size => ['TOTAL', '', chart.brand, chart.label, size.size, totals[size.size]]);
+
+        return this.downloadCSV([header, ...rows, [], ...totalRows], `kit-order-${chart.id}-${this.formatDateForFilename()}.csv`);
+    }
+
+    /**
+     * Export a measurement as a scaled BVH skeleton
+     * Options: frames - recorded landmark frames ({ bodyLandmarks, width, height }) for motion;
+     * frameTime - seconds per frame. Without frames the file has one rest-pose (T-pose) frame
+     */
+    exportSkeletonBVH(measurement, options = {}) {
+        const bvh = this.createBVH(measurement, options);
+        const name = measurement.athleteName ? `${measurement.athleteName.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-` : '';
+        return this.downloadText(bvh, `skeleton-${name}${this.formatDateForFilename()}.bvh`, 'text/plain');
+    }
+
+    /**
+     * Build BVH text for a measurement
+     * Offsets are in cm with Y up and the skeleton facing +Z; rotation channels are Z X Y degrees
+     */
+    createBVH(measurement, options = {}) {
+        const { frames = null, frameTime = 1 / 30 } = options;
+        const skeleton = this.buildBVHSkeleton(measurement);
+        const lines = ['HIERARCHY'];
+
+        const writeJoint = (joint, depth) => {
+            const indent = '\t'.repeat(depth);
+            const offset = joint.offset.map(value => value.toFixed(2)).join(' ');
+
+            lines.push(`${indent}${depth === 0 ? 'ROOT' : 'JOINT'} ${joint.name}`);
+            lines.push(`${indent}{`);
+            lines.push(`${indent}\tOFFSET ${offset}`);
+            lines.push(depth === 0 ?
+                `${indent}\tCHANNELS 6 Xposition Yposition Zposition Zrotation Xrotation Yrotation` :
+                `${indent}\tCHANNELS 3 Zrotation Xrotation Yrotation`);
+
+            joint.children.forEach(child => writeJoint(child, depth + 1));
+
+            if (joint.endSite) {
+                lines.push(`${indent}\tEnd Site`);
+                lines.push(`${indent}\t{`);
+                lines.push(`${indent}\t\tOFFSET ${joint.endSite.map(value => value.toFixed(2)).join(' ')}`);
+                lines.push(`${indent}\t}`);
+            }
+            lines.push(`${indent}}`);
+        };
+        writeJoint(skeleton, 0);
+
+        const motion = frames && frames.length > 0 ?
+            frames.map(frame => this.getBVHFrameValues(skeleton, frame, frames[0], measurement.photoPixelToCmRatio || measurement.pixelToCmRatio)) :
+            [this.getBVHRestFrame(skeleton)];
+
+        lines.push('MOTION');
+        lines.push(`Frames: ${motion.length}`);
+        lines.push(`Frame Time: ${frameTime.toFixed(6)}`);
+        motion.forEach(values => lines.push(values.map(value => (Math.abs(value) < 0.005 ? 0 : value).toFixed(2)).join(' ')));
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Build the joint tree from measured segment lengths (cm)
+     * Each side uses its own limb lengths when both sides were measured. Head height is what is left of the
+     * stature above the shoulders; restDirection and landmarks say which landmark pair each joint's bone follows
+     */
+    buildBVHSkeleton(measurement) {
+        const segments = measurement.segments || {};
+        const length = (side, name) => measurement.bilateral?.[side]?.[name] || segments[name];
+
+        ['thigh', 'shin', 'upperArm', 'forearm', 'torso'].forEach(name => {
+            if (!segments[name]) {
+                throw new Error(`BVH export needs a ${name} length`);
+            }
+        });
+
+        const hipHalf = (segments.hipWidth || segments.torso * 0.6) / 2;
+        const shoulderHalf = (segments.shoulderWidth || segments.torso * 0.8) / 2;
+        const stature = measurement.userHeight || measurement.estimatedHeight;
+        const inseam = segments.inseam || segments.thigh + segments.shin;
+        const headHeight = stature && stature - inseam - segments.torso > 0 ?
+            stature - inseam - segments.torso : segments.torso * 0.5;
+
+        const leg = (side, sign) => {
+            const prefix = side === 'left' ? 'Left' : 'Right';
+            const ankleHeight = Math.max(0, (length(side, 'inseam') || inseam) - length(side, 'thigh') - length(side, 'shin'));
+            const foot = [0, -ankleHeight, length(side, 'foot') || segments.shin * 0.6];
+
+            return {
+                name: `${prefix}UpLeg`,
+                offset: [sign * hipHalf, 0, 0],
+                restDirection: [0, -1, 0],
+                landmarks: [`${side}Hip`, `${side}Knee`],
+                children: [{
+                    name: `${prefix}Leg`,
+                    offset: [0, -length(side, 'thigh'), 0],
+                    restDirection: [0, -1, 0],
+                    landmarks: [`${side}Knee`, `${side}Ankle`],
+                    children: [{
+                        name: `${prefix}Foot`,
+                        offset: [0, -length(side, 'shin'), 0],
+                        restDirection: foot,
+                        landmarks: [`${side}Ankle`, `${side}FootIndex`],
+                        children: [],
+                        endSite: foot
+                    }]
+                }]
+            };
+        };
+
+        const arm = (side, sign) => {
+            const prefix = side === 'left' ? 'Left' : 'Right';
+
+            return {
+                name: `${prefix}Arm`,
+                offset: [sign * shoulderHalf, segments.torso, 0],
+                restDirection: [sign, 0, 0],
+                landmarks: [`${side}Shoulder`, `${side}Elbow`],
+                children: [{
+                    name: `${prefix}ForeArm`,
+                    offset: [sign * length(side, 'upperArm'), 0, 0],
+                    restDirection: [sign, 0, 0],
+                    landmarks: [`${side}Elbow`, `${side}Wrist`],
+                    children: [{
+                        name: `${prefix}Hand`,
+                        offset: [sign * length(side, 'forearm'), 0, 0],
+                        restDirection: [sign, 0, 0],
+                        landmarks: [`${side}Wrist`, `${side}Index`],
+                        children: [],
+                        endSite: [sign * (length(side, 'hand') || length(side, 'forearm') * 0.4), 0, 0]
+                    }]
+                }]
+            };
+        };
+
+        return {
+            name: 'Hips',
+            offset: [0, 0, 0],
+            restHeight: inseam,
+            frame: 'hips',
+            children: [
+                leg('left', 1),
+                leg('right', -1),
+                {
+                    name: 'Spine',
+                    offset: [0, 0, 0],
+                    frame: 'shoulders',
+                    children: [
+                        {
+                            name: 'Neck',
+                            offset: [0, segments.torso, 0],
+                            restDirection: [0, 1, 0],
+                            landmarks: ['shoulderCentre', 'nose'],
+                            children: [],
+                            endSite: [0, headHeight, 0]
+                        },
+                        arm('left', 1),
+                        arm('right', -1)
+                    ]
+                }
+            ]
+        };
+    }
+
+    /**
+     * Channel values for the rest pose: hips at leg height, no rotations
+     */
+    getBVHRestFrame(skeleton) {
+        const values = [0, skeleton.restHeight, 0];
+        const addJoint = (joint) => {
+            values.push(0, 0, 0);
+            joint.children.forEach(addJoint);
+        };
+        addJoint(skeleton);
+        return values;
+    }
+
+    /**
+     * Channel values for one recorded landmark frame
+     * Hips and spine are oriented from the hip and shoulder lines; every other bone is turned the shortest
+     * way from its parent onto its landmark pair. Bones with unusable landmarks keep the parent's orientation
+     */
+    getBVHFrameValues(skeleton, frame, firstFrame, pixelToCmRatio) {
+        const landmarks = frame.bodyLandmarks;
+        const toPoint = (landmark, source = frame) => [
+            (landmark.x - 0.5) * source.width * pixelToCmRatio,
+            (0.5 - landmark.y) * source.height * pixelToCmRatio,
+            -(landmark.z || 0) * source.width * pixelToCmRatio
+        ];
+        const midpoint = (a, b) => a.map((value, i) => (value + b[i]) / 2);
+        const subtract = (a, b) => a.map((value, i) => value - b[i]);
+
+        const getPoint = (name) => {
+            if (name === 'shoulderCentre') {
+                const left = getPoint('leftShoulder');
+                const right = getPoint('rightShoulder');
+                return left && right ? midpoint(left, right) : null;
+            }
+            return PoseDetector.validateLandmark(landmarks[name]) ? toPoint(landmarks[name]) : null;
+        };
+
+        const leftHip = getPoint('leftHip');
+        const rightHip = getPoint('rightHip');
+        const shoulderCentre = getPoint('shoulderCentre');
+        const hipCentre = leftHip && rightHip ? midpoint(leftHip, rightHip) : null;
+        const up = hipCentre && shoulderCentre ? subtract(shoulderCentre, hipCentre) : null;
+
+        // Hips move relative to where they started, from the rest height
+        const values = [0, skeleton.restHeight, 0];
+        const firstLeftHip = firstFrame.bodyLandmarks.leftHip;
+        const firstRightHip = firstFrame.bodyLandmarks.rightHip;
+        if (hipCentre && firstLeftHip && firstRightHip) {
+            const start = midpoint(toPoint(firstLeftHip, firstFrame), toPoint(firstRightHip, firstFrame));
+            const moved = subtract(hipCentre, start);
+            values[0] = moved[0];
+            values[1] += moved[1];
+            values[2] = moved[2];
+        }
+
+        const identity = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+        const addJoint = (joint, parentGlobal) => {
+            let global = parentGlobal;
+
+            if (joint.frame === 'hips' && up) {
+                global = DataExporter.axesToMatrix(subtract(leftHip, rightHip), up);
+            } else if (joint.frame === 'shoulders' && up && getPoint('leftShoulder') && getPoint('rightShoulder')) {
+                global = DataExporter.axesToMatrix(subtract(getPoint('leftShoulder'), getPoint('rightShoulder')), up);
+            } else if (joint.landmarks) {
+                const start = getPoint(joint.landmarks[0]);
+                const end = getPoint(joint.landmarks[1]);
+                if (start && end) {
+                    const restDirection = DataExporter.applyMatrix(parentGlobal, joint.restDirection);
+                    const turn = DataExporter.rotationBetween(restDirection, subtract(end, start));
+                    global = DataExporter.multiplyMatrices(turn, parentGlobal);
+                }
+            }
+
+            const local = DataExporter.multiplyMatrices(DataExporter.transposeMatrix(parentGlobal), global);
+            values.push(...DataExporter.matrixToEulerZXY(local));
+            joint.children.forEach(child => addJoint(child, global));
+        };
+        addJoint(skeleton, identity);
+
+        return values;
+    }
+
+    /**
+     * Rotation matrix whose X axis follows xAxis and Y axis follows yAxis (made perpendicular)
+     */
+    static axesToMatrix(xAxis, yAxis) {
+        const normalize = (v) => {
+            const length = Math.hypot(...v) || 1;
+            return v.map(value => value / length);
+        };
+        const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+
+        const y = normalize(yAxis);
+        const z = normalize(cross(xAxis, y));
+        const x = cross(y, z);
+
+        // Axes are the matrix columns
+        return [
+            [x[0], y[0], z[0]],
+            [x[1], y[1], z[1]],
+            [x[2], y[2], z[2]]
+        ];
+    }
+
+    /**
+     * Shortest rotation turning one direction onto another (Rodrigues' formula)
+     */
+    static rotationBetween(from, to) {
+        const normalize = (v) => {
+            const length = Math.hypot(...v) || 1;
+            return v.map(value => value / length);
+        };
+        const a = normalize(from);
+        const b = normalize(to);
+        let axis = [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+        const cos = Math.max(-1, Math.min(1, a[0] * b[0] + a[1] * b[1] + a[2] * b[2]));
+
+        if (Math.hypot(...axis) < 1e-9) {
+            if (cos > 0) return [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+            // Opposite directions: turn half way round any perpendicular axis
+            axis = Math.abs(a[0]) < 0.9 ? [0, -a[2], a[1]] : [-a[2], 0, a[0]];
+        }
+
+        const [x, y, z] = normalize(axis);
+        const angle = Math.acos(cos);
+        const s = Math.sin(angle);
+        const c = Math.cos(angle);
+        const t = 1 - c;
+
+        return [
+            [t * x * x + c, t * x * y - s * z, t * x * z + s * y],
+            [t * x * y + s * z, t * y * y + c, t * y * z - s * x],
+            [t * x * z - s * y, t * y * z + s * x, t * z * z + c]
+        ];
+    }
+
+    /**
+     * Multiply two 3x3 matrices
+     */
+    static multiplyMatrices(a, b) {
+        return a.map(row => [0, 1, 2].map(col => row[0] * b[0][col] + row[1] * b[1][col] + row[2] * b[2][col]));
+    }
+
+    /**
+     * Transpose a 3x3 matrix (the inverse of a rotation)
+     */
+    static transposeMatrix(m) {
+        return [0, 1, 2].map(row => [m[0][row], m[1][row], m[2][row]]);
+    }
+
+    /**
+     * Apply a 3x3 matrix to a vector
+     */
+    static applyMatrix(m, v) {
+        return m.map(row => row[0] * v[0] + row[1] * v[1] + row[2] * v[2]);
+    }
+
+    /**
+     * Decompose a rotation matrix into Z, X, Y Euler angles (degrees) for R = Rz * Rx * Ry
+     */
+    static matrixToEulerZXY(m) {
+        const toDegrees = 180 / Math.PI;
+        const x = Math.asin(Math.max(-1, Math.min(1, m[2][1])));
+        const y = Math.atan2(-m[2][0], m[2][2]);
+        const z = Math.atan2(-m[0][1], m[1][1]);
+
+        return [z * toDegrees, x * toDegrees, y * toDegrees];
+    }
+
     /**
      * Export complete app data
      */
@@ -170,6 +601,86 @@ class DataExporter {
         }
     }
 
+    /**
+     * Download rows as CSV file
+     */
+    downloadCSV(rows, filename) {
+        try {
+            const csvString = rows.map(row => row.map(value => this.escapeCSVValue(value)).join(',')).join('\n');
+            const blob = new Blob([csvString], { type: 'text/csv' });
+            const url = URL.createObjectURL(blob);
+
+            // Create download link
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            link.style.display = 'none';
+
+            // Trigger download
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+
+            // Clean up
+            URL.revokeObjectURL(url);
+
+            console.log(`Exported data to ${filename}`);
+            return true;
+
+        } catch (error) {
+            console.error('Failed to export CSV:', error);
+            throw new Error('Failed to export data');
+        }
+    }
+
+    /**
+     * Download plain text as file
+     */
+    downloadText(text, filename, type = 'text/plain') {
+        try {
+            const blob = new Blob([text], { type: type });
+            const url = URL.createObjectURL(blob);
+
+            // Create download link
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            link.style.display = 'none';
+
+            // Trigger download
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+
+            // Clean up
+            URL.revokeObjectURL(url);
+
+            console.log(`Exported data to ${filename}`);
+            return true;
+
+        } catch (error) {
+            console.error('Failed to export file:', error);
+            throw new Error('Failed to export data');
+        }
+    }
+
+    /**
+     * Escape a value for CSV output
+     */
+    escapeCSVValue(value) {
+        if (value === null || value === undefined) return '';
+
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Format a number for CSV output
+     */
+    formatCSVNumber(value, decimals = 1) {
+        return typeof value === 'number' ? value.toFixed(decimals) : '';
+    }
+
     /**
      * Format date for filename
      */
@@ -0,0 +1,183 @@
+/**
+ * Landmark Editor
+ * Lets landmarks be dragged into place on the analysis canvas, keeping the original positions for audit
+ */
+class LandmarkEditor {
+    constructor() {
+        this.isEditing = false;
+        this.canvas = null;
+        this.landmarks = null;
+        this.originalLandmarks = null;
+        this.dragIndex = null;
+        this.handlers = null;
+
+        // How close (in canvas pixels) a press must be to pick up a landmark
+        this.hitRadius = 15;
+
+        // Landmarks used by the measurements; face points are not editable
+        this.editableIndices = [0, 11, 12, 13, 14, 15, 16, 19, 20, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32];
+
+        // Callbacks
+        this.onLandmarksChanged = null;
+        this.onEditEnd = null;
+    }
+
+    /**
+     * Start editing a copy of the landmarks on a canvas
+     */
+    startEditing(canvas, poseLandmarks, originalLandmarks = null) {
+        this.stopEditing();
+
+        this.canvas = canvas;
+        this.landmarks = poseLandmarks.map(landmark => ({ ...landmark }));
+        // Earlier edits keep their first original position
+        this.originalLandmarks = (originalLandmarks || poseLandmarks).map(landmark => ({ ...landmark }));
+        this.isEditing = true;
+
+        this.setupPointerHandlers();
+        this.canvas.classList.add('editing-landmarks');
+
+        console.log('Landmark editing started');
+    }
+
+    /**
+     * Set up canvas pointer handlers
+     */
+    setupPointerHandlers() {
+        if (!this.canvas) return;
+
+        this.handlers = {
+            pointerdown: (event) => {
+                const point = this.getCanvasPoint(event);
+                this.dragIndex = this.findLandmarkAt(point);
+
+                if (this.dragIndex !== null) {
+                    this.canvas.setPointerCapture(event.pointerId);
+                    event.preventDefault();
+                }
+            },
+            pointermove: (event) => {
+                if (this.dragIndex === null) return;
+                this.moveLandmark(this.dragIndex, this.getCanvasPoint(event));
+            },
+            pointerup: () => {
+                if (this.dragIndex === null) return;
+                this.dragIndex = null;
+
+                if (this.onEditEnd) {
+                    this.onEditEnd(this.landmarks, this.getEdits());
+                }
+            }
+        };
+
+        Object.keys(this.handlers).forEach(type => {
+            this.canvas.addEventListener(type, this.handlers[type]);
+        });
+    }
+
+    /**
+     * Convert a pointer event to canvas pixel coordinates
+     */
+    getCanvasPoint(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const scaleX = this.canvas.width / rect.width;
+        const scaleY = this.canvas.height / rect.height;
+
+        return {
+            x: (event.clientX - rect.left) * scaleX,
+            y: (event.clientY - rect.top) * scaleY
+        };
+    }
+
+    /**
+     * Find the editable landmark nearest a canvas point, within the hit radius
+     */
+    findLandmarkAt(point) {
+        let nearest = null;
+        let nearestDistance = this.hitRadius;
+
+        this.editableIndices.forEach(index => {
+            const landmark = this.landmarks[index];
+            if (!landmark) return;
+
+            const distance = Math.sqrt(
+                Math.pow(landmark.x * this.canvas.width - point.x, 2) +
+                Math.pow(landmark.y * this.canvas.height - point.y, 2)
+            );
+
+            if (distance <= nearestDistance) {
+                nearest = index;
+                nearestDistance = distance;
+            }
+        });
+
+        return nearest;
+    }
+
+    /**
+     * Move a landmark to a canvas point
+     * A hand-placed landmark counts as fully visible
+     */
+    moveLandmark(index, point) {
+        this.landmarks[index] = {
+            ...this.landmarks[index],
+            x: Math.max(0, Math.min(1, point.x / this.canvas.width)),
+            y: Math.max(0, Math.min(1, point.y / this.canvas.height)),
+            visibility: 1
+        };
+
+        if (this.onLandmarksChanged) {
+            this.onLandmarksChanged(this.landmarks, this.getEdits());
+        }
+    }
+
+    /**
+     * List the landmarks that were moved, with original and corrected positions
+     */
+    getEdits() {
+        if (!this.landmarks) return [];
+
+        return this.editableIndices
+            .filter(index => {
+                const original = this.originalLandmarks[index];
+                const current = this.landmarks[index];
+                return original && current && (original.x !== current.x || original.y !== current.y);
+            })
+            .map(index => {
+                const original = this.originalLandmarks[index];
+                const current = this.landmarks[index];
+
+                return {
+                    index: index,
+                    name: PoseDetector.getLandmarkName(index),
+                    original: { x: original.x, y: original.y, visibility: original.visibility },
+                    corrected: { x: current.x, y: current.y }
+                };
+            });
+    }
+
+    /**
+     * Remove canvas pointer handlers
+     */
+    removePointerHandlers() {
+        if (this.canvas && this.handlers) {
+            Object.keys(this.handlers).forEach(type => {
+                this.canvas.removeEventListener(type, this.handlers[type]);
+            });
+        }
+        this.handlers = null;
+    }
+
+    /**
+     * Stop editing
+     */
+    stopEditing() {
+        this.isEditing = false;
+        this.dragIndex = null;
+        this.removePointerHandlers();
+
+        if (this.canvas) {
+            this.canvas.classList.remove('editing-landmarks');
+        }
+    }
+}
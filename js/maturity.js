@@ -0,0 +1,177 @@
+/**
+ * Maturity Calculator
+ * Estimates maturity offset and age at peak height velocity (Mirwald et al., 2002) for youth athletes
+ */
+class MaturityCalculator {
+    constructor() {
+        // Maturity offset (years from PHV) bands used to group players by biological age
+        this.statusBands = {
+            preMax: -1,   // More than a year before PHV
+            postMin: 1    // More than a year after PHV
+        };
+
+        // Ages the Mirwald equations were developed on; outside this range results get a warning
+        this.validAgeRange = { min: 8, max: 18 };
+
+        // Rough % of adult stature reached by years from PHV, interpolated between points. These points are
+        // a hand-drawn average growth curve, not published reference data, so % adult height and predicted
+        // adult height are rough estimates (a validated method such as Khamis-Roche needs parents' heights)
+        this.adultHeightReference = {
+            male: [
+                { offset: -4, percent: 77 },
+                { offset: -3, percent: 80.5 },
+                { offset: -2, percent: 84 },
+                { offset: -1, percent: 88 },
+                { offset: 0, percent: 92 },
+                { offset: 1, percent: 96 },
+                { offset: 2, percent: 98.5 },
+                { offset: 3, percent: 99.5 },
+                { offset: 4, percent: 100 }
+            ],
+            female: [
+                { offset: -4, percent: 79 },
+                { offset: -3, percent: 83 },
+                { offset: -2, percent: 87 },
+                { offset: -1, percent: 91 },
+                { offset: 0, percent: 94.5 },
+                { offset: 1, percent: 97.5 },
+                { offset: 2, percent: 99 },
+                { offset: 3, percent: 99.7 },
+                { offset: 4, percent: 100 }
+            ]
+        };
+    }
+
+    /**
+     * Calculate maturity from athlete details and stature
+     * Details: { sex, dateOfBirth, bodyMass, sittingHeight, legLength }; leg length defaults to
+     * stature minus sitting height
+     */
+    calculateMaturity(details, stature, measuredAt = Date.now()) {
+        const { sex, dateOfBirth, bodyMass, sittingHeight } = details;
+
+        if (sex !== 'male' && sex !== 'female') {
+            throw new Error('Maturity offset needs the athlete\'s sex');
+        }
+        if (!dateOfBirth || !bodyMass || !sittingHeight || !stature) {
+            throw new Error('Maturity offset needs date of birth, body mass, sitting height and height');
+        }
+
+        const legLength = details.legLength || stature - sittingHeight;
+        if (legLength <= 0 || sittingHeight >= stature) {
+            throw new Error('Sitting height must be less than height');
+        }
+
+        const age = MaturityCalculator.getDecimalAge(dateOfBirth, measuredAt);
+        const maturityOffset = MaturityCalculator.mirwaldOffset(sex, age, stature, sittingHeight, legLength, bodyMass);
+        const percentAdultHeight = this.getPercentAdultHeight(sex, maturityOffset);
+
+        const warnings = [];
+        if (age < this.validAgeRange.min || age > this.validAgeRange.max) {
+            warnings.push(`Age ${age.toFixed(1)} is outside the ${this.validAgeRange.min}-${this.validAgeRange.max} year range the equation was developed on`);
+        }
+
+        return {
+            age: age,
+            maturityOffset: maturityOffset,
+            ageAtPHV: age - maturityOffset,
+            percentAdultHeight: percentAdultHeight,
+            predictedAdultHeight: stature / (percentAdultHeight / 100),
+            status: this.getMaturityStatus(maturityOffset),
+            inputs: {
+                sex: sex,
+                stature: stature,
+                sittingHeight: sittingHeight,
+                legLength: legLength,
+                bodyMass: bodyMass
+            },
+            warnings: warnings
+        };
+    }
+
+    /**
+     * Mirwald maturity offset equations (years from peak height velocity)
+     */
+    static mirwaldOffset(sex, age, stature, sittingHeight, legLength, bodyMass) {
+        const weightByHeight = bodyMass / stature * 100;
+
+        if (sex === 'male') {
+            return -9.236 +
+                0.0002708 * (legLength * sittingHeight) -
+                0.001663 * (age * legLength) +
+                0.007216 * (age * sittingHeight) +
+                0.02292 * weightByHeight;
+        }
+
+        return -9.376 +
+            0.0001882 * (legLength * sittingHeight) +
+            0.0022 * (age * legLength) +
+            0.005841 * (age * sittingHeight) -
+            0.002658 * (age * bodyMass) +
+            0.07693 * weightByHeight;
+    }
+
+    /**
+     * Look up the % of adult height for a maturity offset
+     */
+    getPercentAdultHeight(sex, maturityOffset) {
+        const points = this.adultHeightReference[sex];
+        const first = points[0];
+        const last = points[points.length - 1];
+
+        if (maturityOffset <= first.offset) return first.percent;
+        if (maturityOffset >= last.offset) return last.percent;
+
+        const upperIndex = points.findIndex(point => point.offset >= maturityOffset);
+        const lower = points[upperIndex - 1];
+        const upper = points[upperIndex];
+        const fraction = (maturityOffset - lower.offset) / (upper.offset - lower.offset);
+
+        return lower.percent + fraction * (upper.percent - lower.percent);
+    }
+
+    /**
+     * Group a maturity offset into pre-, circa- or post-PHV
+     */
+    getMaturityStatus(maturityOffset) {
+        if (maturityOffset < this.statusBands.preMax) return 'pre-PHV';
+        if (maturityOffset > this.statusBands.postMin) return 'post-PHV';
+        return 'circa-PHV';
+    }
+
+    /**
+     * Build a maturity trend from saved measurements, oldest first
+     */
+    calculateTrend(savedMeasurements) {
+        return savedMeasurements
+            .filter(measurement => measurement.maturity)
+            .map(measurement => ({
+                timestamp: measurement.timestamp,
+                stature: measurement.maturity.inputs.stature,
+                age: measurement.maturity.age,
+                maturityOffset: measurement.maturity.maturityOffset,
+                ageAtPHV: measurement.maturity.ageAtPHV,
+                percentAdultHeight: measurement.maturity.percentAdultHeight,
+                status: measurement.maturity.status
+            }))
+            .sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    /**
+     * Age in years (with decimals) on a date
+     */
+    static getDecimalAge(dateOfBirth, measuredAt = Date.now()) {
+        const birth = new Date(dateOfBirth).getTime();
+        if (isNaN(birth)) {
+            throw new Error('Invalid date of birth');
+        }
+        return (new Date(measuredAt).getTime() - birth) / (365.25 * 24 * 60 * 60 * 1000);
+    }
+
+    /**
+     * Format a maturity offset for display, e.g. "-0.8 y"
+     */
+    static formatOffset(maturityOffset) {
+        return `${maturityOffset > 0 ? '+' : ''}${maturityOffset.toFixed(1)} y`;
+    }
+}
@@ -4,77 +4,623 @@
  */
 class MeasurementCalculator {
     constructor() {
-        // Standard body proportions for validation (approximate)
-        this.standardProportions = {
-            upperArmToHeight: 0.186, // Upper arm is typically ~18.6% of height
-            forearmToHeight: 0.146,  // Forearm is typically ~14.6% of height
-            thighToHeight: 0.245,    // Thigh is typically ~24.5% of height
-            shinToHeight: 0.246      // Shin is typically ~24.6% of height
+        // Population norms for validation, picked by the athlete's sex and age
+        this.normTables = new NormTables();
+        this.normProfile = { sex: null, age: null };
+
+        // Undoes camera tilt before lengths are measured
+        this.perspectiveCorrector = new PerspectiveCorrector();
+
+        // Left/right difference (as % of the mean) that gets flagged
+        this.asymmetryThreshold = 5;
+
+        // How much shorter (as % of the 3D length) a segment can look in the photo before it is flagged
+        this.foreshorteningThreshold = 8;
+
+        // Landmark position error at full visibility (fraction of image height)
+        this.landmarkPositionError = 0.005;
+
+        // Relative scale error for each way of setting the scale
+        this.scaleMethodErrors = {
+            'segmentation': 0.01,       // Head top to lowest foot point from the mask
+            'nose-to-feet': 0.02,       // Nose sits a fixed distance below the head top
+            'shoulder-to-feet': 0.04,   // Head height is assumed
+            'hip-to-head': 0.08,        // Leg length is assumed
+            'reference-object': 0.03,   // Object may not be level with the body
+            'sitting-segmentation': 0.03,   // Head top from the mask; seat level is assumed
+            'sitting-nose-to-hip': 0.06     // Head and seat levels are both assumed
+        };
+
+        // Seated protocol: share of sitting height from the nose down to the hip joints, and from the
+        // hip joints down to the seat (the seat itself is usually hidden by the chair)
+        this.seatedProportions = {
+            noseToHip: 0.77,
+            hipToSeat: 0.1
         };
+
+        // Error in each clicked reference point (pixels)
+        this.referenceClickError = 3;
+
+        // Mask probability that counts as part of the person
+        this.segmentationThreshold = 0.5;
+
+        // Uncertainty ranges cover about 95% (two standard deviations)
+        this.uncertaintyCoverage = 2;
+
+        // Stature growth (cm/year) flagged as a growth spurt
+        this.growthSpurtThreshold = 7;
+
+        // Shortest gap between records used for a growth rate; closer records are skipped
+        this.growthMinIntervalDays = 28;
+
+        // Measure while moving: bone lengths should not change, so a segment whose length varies by more
+        // than this (coefficient of variation, %) across the video is rejected
+        this.movingMaxVariation = 6;
+
+        // Frames each segment needs, the smoothing window over them, and how far (as % of length) a frame
+        // can sit from the smoothed length before its weight halves
+        this.movingMinFrames = 8;
+        this.movingSmoothingWindow = 5;
+        this.movingStabilityTolerance = 3;
     }
 
     /**
      * Calculate all body segment measurements
+     * Options:
+     *   referenceScale - { pixelToCmRatio, referenceObject } to scale from a known-size object
+     *   worldLandmarks - MediaPipe poseWorldLandmarks to measure segments in 3D
+     *   segmentationMask - mask from PoseDetector.readSegmentationMask to find true stature
+     *   posture - 'standing' or 'seated'; seated measurements are scaled from sittingHeight instead
+     *   sittingHeight - known sitting height (cm) for the seated protocol
+     *   perspective - { source, tiltDegrees, ... } to correct for a tilted camera before measuring;
+     *                 the correction is stored with the result
+     *   scale - { pixelToCmRatio, photoPixelToCmRatio, scaleMethod } taken from another frame of the same
+     *           static camera, used instead of this frame's own stature (see getMovingScale)
      */
-    calculateMeasurements(poseLandmarks, userHeight, imageWidth, imageHeight) {
-        const bodyLandmarks = PoseDetector.getBodyMeasurementLandmarks(poseLandmarks);
+    calculateMeasurements(poseLandmarks, userHeight, imageWidth, imageHeight, options = {}) {
+        const { worldLandmarks = null, segmentationMask = null, posture = 'standing', perspective = null } = options;
+
+        if (posture === 'seated') {
+            return this.calculateSeatedMeasurements(poseLandmarks, options.sittingHeight, imageWidth, imageHeight, options);
+        }
+
+        // Lengths are measured on corrected landmarks in the corrected photo's size; the raw landmarks are
+        // kept for the mask search and for drawing on the photo
+        const correction = perspective ? this.perspectiveCorrector.createCorrection(perspective, imageWidth, imageHeight) : null;
+        const photoLandmarks = PoseDetector.getBodyMeasurementLandmarks(poseLandmarks);
+        const bodyLandmarks = correction ? PerspectiveCorrector.correctLandmarks(correction, photoLandmarks) : photoLandmarks;
+        const width = correction ? correction.width : imageWidth;
+        const height = correction ? correction.height : imageHeight;
+        const referenceScale = correction && options.referenceScale ?
+            PerspectiveCorrector.correctReferenceScale(correction, options.referenceScale) : options.referenceScale || null;
+
+        const heightEstimate = this.getPixelHeightEstimate(photoLandmarks, imageWidth, imageHeight, segmentationMask, correction);
         
-        // Calculate pixel-to-cm ratio
-        const pixelToCmRatio = this.calculatePixelToCmRatio(
-            bodyLandmarks, 
-            userHeight, 
-            imageWidth, 
-            imageHeight
-        );
+        // Calculate pixel-to-cm ratio from height (kept for comparison in reference mode)
+        const heightRatio = userHeight && heightEstimate.pixelHeight ? userHeight / heightEstimate.pixelHeight : null;
+
+        const fixedScale = options.scale || null;
+        const pixelToCmRatio = fixedScale ? fixedScale.pixelToCmRatio :
+            referenceScale ? referenceScale.pixelToCmRatio : heightRatio;
 
         if (!pixelToCmRatio) {
             throw new Error('Could not determine scale from detected pose');
         }
 
+        // Girth spans, skeleton export and athletic tests measure raw photo pixels, so they get the uncorrected scale
+        let photoPixelToCmRatio = fixedScale ? fixedScale.photoPixelToCmRatio : pixelToCmRatio;
+        if (correction && !fixedScale) {
+            const photoPixelHeight = this.getPixelHeightEstimate(photoLandmarks, imageWidth, imageHeight, segmentationMask).pixelHeight;
+            photoPixelToCmRatio = options.referenceScale ? options.referenceScale.pixelToCmRatio :
+                photoPixelHeight ? userHeight / photoPixelHeight : null;
+        }
+
+        // Without a typed-in height, validate against the stature seen at the reference scale
+        const estimatedHeight = referenceScale && heightEstimate.pixelHeight ?
+            heightEstimate.pixelHeight * pixelToCmRatio : null;
+        const validationHeight = userHeight || estimatedHeight;
+
         // Determine which side of the body to use for measurements
         const bestSide = PoseDetector.getBestSideForMeasurement(poseLandmarks);
         
-        // Calculate segment measurements
+        // Calculate segment measurements on both sides plus the whole-body lengths
+        const { segments: segments2d, bilateral } = this.calculatePhotoSegments(
+            bodyLandmarks,
+            bestSide,
+            pixelToCmRatio,
+            width,
+            height
+        );
+
+        // Error sources for the ± range on each segment
+        const scaleMethod = fixedScale ? fixedScale.scaleMethod :
+            referenceScale ? 'reference-object' : heightEstimate.method;
+        const scaleError = this.getScaleError(scaleMethod, referenceScale);
+        const landmarkErrors = this.calculateLandmarkErrors(bodyLandmarks, bestSide, pixelToCmRatio, height);
+
+        // 3D lengths replace the 2D ones when world landmarks are available
+        const world = worldLandmarks ?
+            this.calculateWorldMeasurements(worldLandmarks, bestSide, validationHeight) : null;
+        const finalSegments = world ? world.segments : segments2d;
+        const finalBilateral = world ? world.bilateral : bilateral;
+
+        // Values outside the norms are kept as measured and reported as warnings
+        const normTable = this.getNormTable();
+        const validationWarnings = this.validateMeasurements(finalSegments, validationHeight, normTable);
+
+        return {
+            segments: finalSegments,
+            bilateral: finalBilateral,
+            asymmetry: this.calculateAsymmetry(finalBilateral.left, finalBilateral.right),
+            measurementMode: world ? '3d' : '2d',
+            segments2d: world ? segments2d : null,
+            segmentComparison: world ? this.compareSegmentLengths(segments2d, world.segments) : null,
+            validationWarnings: validationWarnings,
+            normTable: { id: normTable.id, label: normTable.label },
+            uncertainty: this.combineUncertainty(finalSegments, landmarkErrors, scaleError),
+            scaleMethod: scaleMethod,
+            scaleError: scaleError,
+            statureExtents: heightEstimate.extents || null,
+            pixelToCmRatio: pixelToCmRatio,
+            photoPixelToCmRatio: photoPixelToCmRatio,
+            usedSide: bestSide,  // Photos are never flipped, so this is the person's own side
+            bodyLandmarks: photoLandmarks,
+            perspective: correction,
+            timestamp: Date.now(),
+            posture: 'standing',
+            userHeight: userHeight,
+            estimatedHeight: estimatedHeight,
+            scaleSource: referenceScale ? 'reference-object' : 'user-height',
+            referenceObject: referenceScale ? referenceScale.referenceObject : null,
+            heightScaleRatio: heightRatio
+        };
+    }
+
+    /**
+     * Calculate upper-body measurements for a seated athlete (e.g. a wheelchair user)
+     * Scale comes from a known sitting height or a reference object; the leg-based height methods are
+     * never used and leg segments are left out. Seated measurements are 2D only
+     */
+    calculateSeatedMeasurements(poseLandmarks, sittingHeight, imageWidth, imageHeight, options = {}) {
+        const { perspective = null } = options;
+
+        // A corrected pose no longer lines up with the mask, so the head top falls back to the nose
+        const correction = perspective ? this.perspectiveCorrector.createCorrection(perspective, imageWidth, imageHeight) : null;
+        const photoLandmarks = PoseDetector.getBodyMeasurementLandmarks(poseLandmarks);
+        const bodyLandmarks = correction ? PerspectiveCorrector.correctLandmarks(correction, photoLandmarks) : photoLandmarks;
+        const width = correction ? correction.width : imageWidth;
+        const height = correction ? correction.height : imageHeight;
+        const segmentationMask = correction ? null : options.segmentationMask || null;
+        const referenceScale = correction && options.referenceScale ?
+            PerspectiveCorrector.correctReferenceScale(correction, options.referenceScale) : options.referenceScale || null;
+
+        const sittingEstimate = this.getSittingPixelHeightEstimate(bodyLandmarks, width, height, segmentationMask);
+
+        const sittingRatio = sittingHeight && sittingEstimate.pixelHeight ?
+            sittingHeight / sittingEstimate.pixelHeight : null;
+        const fixedScale = options.scale || null;
+        const pixelToCmRatio = fixedScale ? fixedScale.pixelToCmRatio :
+            referenceScale ? referenceScale.pixelToCmRatio : sittingRatio;
+
+        if (!pixelToCmRatio) {
+            throw new Error('Could not determine scale from the seated pose');
+        }
+
+        let photoPixelToCmRatio = fixedScale ? fixedScale.photoPixelToCmRatio : pixelToCmRatio;
+        if (correction && !fixedScale) {
+            const photoPixelHeight = this.getSittingPixelHeightEstimate(photoLandmarks, imageWidth, imageHeight, options.segmentationMask || null).pixelHeight;
+            photoPixelToCmRatio = options.referenceScale ? options.referenceScale.pixelToCmRatio :
+                photoPixelHeight ? sittingHeight / photoPixelHeight : null;
+        }
+
+        const bestSide = PoseDetector.getBestSideForMeasurement(poseLandmarks);
+        const { segments, bilateral } = this.calculateSeatedSegments(
+            bodyLandmarks,
+            bestSide,
+            pixelToCmRatio,
+            width,
+            height,
+            sittingEstimate.seatY
+        );
+
+        const scaleMethod = fixedScale ? fixedScale.scaleMethod :
+            referenceScale ? 'reference-object' : `sitting-${sittingEstimate.method}`;
+        const scaleError = this.getScaleError(scaleMethod, referenceScale);
+        const landmarkErrors = this.calculateLandmarkErrors(bodyLandmarks, bestSide, pixelToCmRatio, height);
+        const armParts = [landmarkErrors.upperArm, landmarkErrors.forearm, landmarkErrors.hand];
+        landmarkErrors.reach = armParts.every(part => part) ?
+            Math.sqrt(armParts.reduce((sum, part) => sum + part * part, 0)) : null;
+        landmarkErrors.overheadReach = landmarkErrors.reach;
+
+        const normTable = this.getNormTable();
+
+        return {
+            segments: segments,
+            bilateral: bilateral,
+            asymmetry: this.calculateAsymmetry(bilateral.left, bilateral.right),
+            measurementMode: '2d',
+            segments2d: null,
+            segmentComparison: null,
+            validationWarnings: [],  // Norms are proportions of standing height
+            normTable: { id: normTable.id, label: normTable.label },
+            uncertainty: this.combineUncertainty(segments, landmarkErrors, scaleError),
+            scaleMethod: scaleMethod,
+            scaleError: scaleError,
+            statureExtents: null,
+            pixelToCmRatio: pixelToCmRatio,
+            photoPixelToCmRatio: photoPixelToCmRatio,
+            usedSide: bestSide,
+            bodyLandmarks: photoLandmarks,
+            perspective: correction,
+            timestamp: Date.now(),
+            userHeight: null,
+            estimatedHeight: null,
+            posture: 'seated',
+            sittingHeight: referenceScale ? null : sittingHeight,
+            estimatedSittingHeight: referenceScale && sittingEstimate.pixelHeight ?
+                sittingEstimate.pixelHeight * pixelToCmRatio : null,
+            seatY: sittingEstimate.seatY,
+            scaleSource: referenceScale ? 'reference-object' : 'sitting-height',
+            referenceObject: referenceScale ? referenceScale.referenceObject : null,
+            heightScaleRatio: sittingRatio
+        };
+    }
+
+    /**
+     * Calculate upper-body segments, arm span and reach for a seated athlete
+     * Reach is shoulder to fingertip; overhead reach adds the shoulder height above the seat
+     */
+    calculateSeatedSegments(bodyLandmarks, side, pixelToCmRatio, imageWidth, imageHeight, seatY = null) {
+        const upperBody = ['upperArm', 'forearm', 'hand', 'torso'];
+
+        const measureSide = (measureSideName) => {
+            const all = this.calculateSegmentLengths(bodyLandmarks, measureSideName, pixelToCmRatio, imageWidth, imageHeight);
+            const lengths = {};
+            upperBody.forEach(name => {
+                lengths[name] = all[name];
+            });
+            lengths.reach = lengths.upperArm && lengths.forearm && lengths.hand ?
+                lengths.upperArm + lengths.forearm + lengths.hand : null;
+            return lengths;
+        };
+
+        const bilateral = {
+            left: measureSide('left'),
+            right: measureSide('right')
+        };
+
+        const segments = {
+            ...bilateral[side],
+            ...this.calculateSpanningLengths(
+                bodyLandmarks,
+                bilateral,
+                this.createPixelMeasure(pixelToCmRatio, imageWidth, imageHeight)
+            )
+        };
+
+        const shoulder = side === 'left' ? bodyLandmarks.leftShoulder : bodyLandmarks.rightShoulder;
+        segments.overheadReach = segments.reach && seatY !== null && PoseDetector.validateLandmark(shoulder) ?
+            (seatY - shoulder.y) * imageHeight * pixelToCmRatio + segments.reach : null;
+
+        return {
+            segments: segments,
+            bilateral: bilateral
+        };
+    }
+
+    /**
+     * Estimate sitting height (head top to seat) in pixels
+     * The head top comes from the segmentation mask when it can be found, otherwise from the nose;
+     * the seat sits a fixed share of sitting height below the hip joints. seatY is normalized
+     */
+    getSittingPixelHeightEstimate(bodyLandmarks, imageWidth, imageHeight, segmentationMask = null) {
+        const { nose, leftHip, rightHip } = bodyLandmarks;
+        const hips = [leftHip, rightHip].filter(hip => PoseDetector.validateLandmark(hip));
+
+        if (hips.length === 0) {
+            return { pixelHeight: null, method: null, seatY: null };
+        }
+
+        const hipY = hips.reduce((sum, hip) => sum + hip.y, 0) / hips.length;
+        const { noseToHip, hipToSeat } = this.seatedProportions;
+
+        const headTop = segmentationMask ? this.findHeadTop(bodyLandmarks, segmentationMask) : null;
+        if (headTop !== null) {
+            const pixelHeight = (hipY - headTop) * imageHeight / (1 - hipToSeat);
+            if (pixelHeight > 50) {
+                return { pixelHeight, method: 'segmentation', seatY: headTop + pixelHeight / imageHeight };
+            }
+        }
+
+        if (PoseDetector.validateLandmark(nose)) {
+            const pixelHeight = (hipY - nose.y) * imageHeight / noseToHip;
+            if (pixelHeight > 50) {
+                return { pixelHeight, method: 'nose-to-hip', seatY: hipY + pixelHeight * hipToSeat / imageHeight };
+            }
+        }
+
+        return { pixelHeight: null, method: null, seatY: null };
+    }
+
+    /**
+     * Calculate 2D segment lengths for the chosen side, both sides and across the body
+     */
+    calculatePhotoSegments(bodyLandmarks, side, pixelToCmRatio, imageWidth, imageHeight) {
         const segments = this.calculateSegmentLengths(
             bodyLandmarks, 
-            bestSide, 
+            side, 
             pixelToCmRatio,
             imageWidth,
             imageHeight
         );
 
-        // Validate measurements
-        const validatedSegments = this.validateMeasurements(segments, userHeight);
+        // Measure both sides so limb-length differences can be screened
+        const bilateral = {
+            left: this.calculateSegmentLengths(bodyLandmarks, 'left', pixelToCmRatio, imageWidth, imageHeight),
+            right: this.calculateSegmentLengths(bodyLandmarks, 'right', pixelToCmRatio, imageWidth, imageHeight)
+        };
+
+        // Breadths and span span both sides of the body
+        const wholeBody = this.calculateWholeBodyLengths(
+            bodyLandmarks,
+            bilateral,
+            pixelToCmRatio,
+            imageWidth,
+            imageHeight
+        );
+
+        return {
+            segments: { ...segments, ...wholeBody },
+            bilateral: bilateral
+        };
+    }
+
+    /**
+     * Recalculate segments after landmarks were corrected by hand
+     * The perspective correction is kept, and so is the scale unless it came from the user's height and a
+     * landmark the stature is measured between was moved; then it is re-derived from the edited pose and the
+     * old scale is kept in scaleEdit. 3D, burst and moving values no longer apply to the edited pose
+     */
+    recalculateSegments(measurements, poseLandmarks, imageWidth, imageHeight, segmentationMask = null) {
+        const correction = measurements.perspective || null;
+        const photoLandmarks = PoseDetector.getBodyMeasurementLandmarks(poseLandmarks);
+        const bodyLandmarks = correction ? PerspectiveCorrector.correctLandmarks(correction, photoLandmarks) : photoLandmarks;
+        const width = correction ? correction.width : imageWidth;
+        const height = correction ? correction.height : imageHeight;
+        const usedSide = PoseDetector.getBestSideForMeasurement(poseLandmarks);
+        const seated = measurements.posture === 'seated';
+
+        const scale = !seated && measurements.scaleSource === 'user-height' &&
+            this.statureLandmarksMoved(measurements.bodyLandmarks, photoLandmarks) ?
+            this.getEditedHeightScale(measurements, photoLandmarks, imageWidth, imageHeight, segmentationMask) : null;
+        const pixelToCmRatio = scale ? scale.pixelToCmRatio : measurements.pixelToCmRatio;
+        const scaleError = scale ? scale.scaleError : measurements.scaleError;
+
+        const { segments, bilateral } = seated ?
+            this.calculateSeatedSegments(bodyLandmarks, usedSide, pixelToCmRatio, width, height, measurements.seatY) :
+            this.calculatePhotoSegments(bodyLandmarks, usedSide, pixelToCmRatio, width, height);
+
+        const normTable = this.getNormTable();
+        const landmarkErrors = this.calculateLandmarkErrors(bodyLandmarks, usedSide, pixelToCmRatio, height);
+
+        return {
+            ...measurements,
+            segments: segments,
+            bilateral: bilateral,
+            asymmetry: this.calculateAsymmetry(bilateral.left, bilateral.right),
+            measurementMode: '2d',
+            segments2d: null,
+            segmentComparison: null,
+            burst: null,
+            moving: null,
+            ...(scale || {}),
+            uncertainty: this.combineUncertainty(segments, landmarkErrors, scaleError),
+            validationWarnings: seated ? [] : this.validateMeasurements(
+                segments,
+                measurements.userHeight || measurements.estimatedHeight,
+                normTable
+            ),
+            normTable: { id: normTable.id, label: normTable.label },
+            usedSide: usedSide,
+            bodyLandmarks: photoLandmarks
+        };
+    }
+
+    /**
+     * Check whether any landmark the stature can be measured between was moved
+     */
+    statureLandmarksMoved(originalLandmarks, landmarks) {
+        if (!originalLandmarks) return true;
+
+        return ['nose', 'leftShoulder', 'rightShoulder', 'leftHip', 'rightHip', 'leftAnkle', 'rightAnkle',
+            'leftHeel', 'rightHeel', 'leftFootIndex', 'rightFootIndex'].some(name => {
+            const original = originalLandmarks[name];
+            const current = landmarks[name];
+            return original && current && (original.x !== current.x || original.y !== current.y);
+        });
+    }
+
+    /**
+     * Re-derive a height-based scale from edited landmarks, or null if no stature can be found
+     * Returns the fields to replace on the measurement, with the scale they replace in scaleEdit
+     */
+    getEditedHeightScale(measurements, photoLandmarks, imageWidth, imageHeight, segmentationMask = null) {
+        const correction = measurements.perspective || null;
+        const heightEstimate = this.getPixelHeightEstimate(photoLandmarks, imageWidth, imageHeight, segmentationMask, correction);
+        if (!measurements.userHeight || !heightEstimate.pixelHeight) return null;
+
+        const pixelToCmRatio = measurements.userHeight / heightEstimate.pixelHeight;
+        const photoPixelHeight = correction ?
+            this.getPixelHeightEstimate(photoLandmarks, imageWidth, imageHeight, segmentationMask).pixelHeight :
+            heightEstimate.pixelHeight;
 
         return {
-            segments: validatedSegments,
             pixelToCmRatio: pixelToCmRatio,
-            usedSide: bestSide,
-            bodyLandmarks: bodyLandmarks,
-            timestamp: Date.now(),
-            userHeight: userHeight
+            photoPixelToCmRatio: photoPixelHeight ? measurements.userHeight / photoPixelHeight : pixelToCmRatio,
+            heightScaleRatio: pixelToCmRatio,
+            scaleMethod: heightEstimate.method,
+            scaleError: this.getScaleError(heightEstimate.method),
+            statureExtents: heightEstimate.extents || null,
+            scaleEdit: {
+                pixelToCmRatio: measurements.pixelToCmRatio,
+                scaleMethod: measurements.scaleMethod
+            }
         };
     }
 
     /**
      * Calculate pixel-to-cm ratio using detected body height
      */
-    calculatePixelToCmRatio(bodyLandmarks, userHeight, imageWidth, imageHeight) {
+    calculatePixelToCmRatio(bodyLandmarks, userHeight, imageWidth, imageHeight, segmentationMask = null) {
+        const pixelHeight = this.getPixelHeight(bodyLandmarks, imageWidth, imageHeight, segmentationMask);
+        return pixelHeight ? userHeight / pixelHeight : null;
+    }
+
+    /**
+     * Estimate body height in pixels
+     */
+    getPixelHeight(bodyLandmarks, imageWidth, imageHeight, segmentationMask = null) {
+        return this.getPixelHeightEstimate(bodyLandmarks, imageWidth, imageHeight, segmentationMask).pixelHeight;
+    }
+
+    /**
+     * Estimate body height in pixels along with the method that produced it
+     * With a perspective correction the landmarks are still the photo's own (so they line up with the mask)
+     * and the height is measured in the corrected photo; extents stay in photo coordinates for drawing
+     */
+    getPixelHeightEstimate(bodyLandmarks, imageWidth, imageHeight, segmentationMask = null, correction = null) {
+        // True stature from the mask when the head top and feet can be found
+        const extents = segmentationMask ? this.findStatureExtents(bodyLandmarks, segmentationMask) : null;
+        if (extents) {
+            const pixelHeight = correction ?
+                (PerspectiveCorrector.correctPoint(correction, extents.bottom).y -
+                    PerspectiveCorrector.correctPoint(correction, extents.top).y) * correction.height :
+                (extents.bottom.y - extents.top.y) * imageHeight;
+            if (pixelHeight > 100) {
+                return { pixelHeight, method: 'segmentation', extents };
+            }
+        }
+
+        const landmarks = correction ? PerspectiveCorrector.correctLandmarks(correction, bodyLandmarks) : bodyLandmarks;
+        const width = correction ? correction.width : imageWidth;
+        const height = correction ? correction.height : imageHeight;
+
         // Try multiple methods to estimate body height in pixels
-        const heightMethods = [
-            this.getHeightFromNoseToFeet(bodyLandmarks, imageWidth, imageHeight),
-            this.getHeightFromShoulderToFeet(bodyLandmarks, imageWidth, imageHeight),
-            this.getHeightFromHipToHead(bodyLandmarks, imageWidth, imageHeight)
-        ];
+        const heightMethods = {
+            'nose-to-feet': () => this.getHeightFromNoseToFeet(landmarks, width, height),
+            'shoulder-to-feet': () => this.getHeightFromShoulderToFeet(landmarks, width, height),
+            'hip-to-head': () => this.getHeightFromHipToHead(landmarks, width, height)
+        };
 
         // Use the first valid height measurement
-        for (const pixelHeight of heightMethods) {
+        for (const method of Object.keys(heightMethods)) {
+            const pixelHeight = heightMethods[method]();
             if (pixelHeight && pixelHeight > 100) { // Reasonable minimum pixel height
-                return userHeight / pixelHeight;
+                return { pixelHeight, method };
             }
         }
 
-        return null;
+        return { pixelHeight: null, method: null };
+    }
+
+    /**
+     * Estimate stature in cm from the detected pose at a known scale
+     */
+    estimateStature(bodyLandmarks, pixelToCmRatio, imageWidth, imageHeight, segmentationMask = null) {
+        const pixelHeight = this.getPixelHeight(bodyLandmarks, imageWidth, imageHeight, segmentationMask);
+        return pixelHeight ? pixelHeight * pixelToCmRatio : null;
+    }
+
+    /**
+     * Find the top of the head and the lowest foot point in a segmentation mask
+     * Returns normalized { top, bottom } points, or null if either end looks cut off or implausible
+     */
+    findStatureExtents(bodyLandmarks, mask) {
+        const { nose, leftHeel, rightHeel, leftFootIndex, rightFootIndex } = bodyLandmarks;
+        if (!PoseDetector.validateLandmark(nose)) return null;
+
+        const feet = [leftHeel, rightHeel, leftFootIndex, rightFootIndex]
+            .filter(landmark => PoseDetector.validateLandmark(landmark));
+        if (feet.length === 0) return null;
+
+        const toMask = (landmark) => ({
+            x: Math.round(landmark.x * mask.width),
+            y: Math.round(landmark.y * mask.height)
+        });
+
+        const headTop = this.findHeadTop(bodyLandmarks, mask);
+        if (headTop === null) return null;
+
+        const nosePoint = toMask(nose);
+        const top = Math.round(headTop * mask.height);
+
+        // Lowest foot point: last masked row below the feet landmarks, around the feet
+        const footPoints = feet.map(toMask);
+        const margin = Math.round(mask.width * 0.02);
+        const footLeft = Math.min(...footPoints.map(point => point.x)) - margin;
+        const footRight = Math.max(...footPoints.map(point => point.x)) + margin;
+        const lowestLandmark = Math.max(...footPoints.map(point => point.y));
+
+        let bottom = null;
+        for (let y = mask.height - 1; y >= lowestLandmark; y--) {
+            if (this.countMaskRow(mask, y, footLeft, footRight) >= 2) {
+                bottom = y;
+                break;
+            }
+        }
+
+        // Feet touching the bottom edge means they are cut off
+        if (bottom === null || bottom === mask.height - 1) return null;
+
+        // Head top sits roughly 5-15% of stature above the nose; reject hats, hair and floor shadows
+        const stature = bottom - top;
+        const headAboveNose = (nosePoint.y - top) / stature;
+        const belowFeet = (bottom - lowestLandmark) / stature;
+        if (headAboveNose < 0.04 || headAboveNose > 0.15 || belowFeet > 0.05) return null;
+
+        return {
+            top: { x: nosePoint.x / mask.width, y: top / mask.height },
+            bottom: { x: (footLeft + footRight) / 2 / mask.width, y: bottom / mask.height }
+        };
+    }
+
+    /**
+     * Find the top of the head in a segmentation mask: the first masked row above the nose,
+     * within about a head width. Returns a normalized y, or null if the head looks cut off
+     */
+    findHeadTop(bodyLandmarks, mask) {
+        const { nose, leftShoulder, rightShoulder } = bodyLandmarks;
+        if (!PoseDetector.validateLandmark(nose)) return null;
+
+        const noseX = Math.round(nose.x * mask.width);
+        const noseY = Math.round(nose.y * mask.height);
+        const shoulderSpan = PoseDetector.validateLandmark(leftShoulder) && PoseDetector.validateLandmark(rightShoulder) ?
+            Math.abs(leftShoulder.x - rightShoulder.x) * mask.width : mask.width * 0.1;
+        const headHalfWidth = Math.max(3, Math.round(shoulderSpan * 0.35));
+
+        let top = null;
+        for (let y = 0; y <= noseY; y++) {
+            if (this.countMaskRow(mask, y, noseX - headHalfWidth, noseX + headHalfWidth) >= 2) {
+                top = y;
+                break;
+            }
+        }
+
+        // Head touching the top edge means it is cut off
+        if (top === null || top === 0) return null;
+
+        return top / mask.height;
+    }
+
+    /**
+     * Count person pixels on a mask row between two columns
+     */
+    countMaskRow(mask, y, x1, x2) {
+        let count = 0;
+        for (let x = Math.max(0, x1); x <= Math.min(mask.width - 1, x2); x++) {
+            if (PoseDetector.isMaskPixel(mask, x, y, this.segmentationThreshold)) count++;
+        }
+        return count;
     }
 
     /**
@@ -160,6 +706,26 @@ class MeasurementCalculator {
      * Calculate segment lengths for the specified side
      */
     calculateSegmentLengths(bodyLandmarks, side, pixelToCmRatio, imageWidth, imageHeight) {
+        return this.measureSegmentPairs(
+            MeasurementCalculator.getSegmentLandmarkPairs(bodyLandmarks, side),
+            this.createPixelMeasure(pixelToCmRatio, imageWidth, imageHeight)
+        );
+    }
+
+    /**
+     * Calculate segment lengths in 3D from world landmarks (metres) for the specified side
+     */
+    calculateWorldSegmentLengths(worldBodyLandmarks, side, cmPerMetre) {
+        return this.measureSegmentPairs(
+            MeasurementCalculator.getSegmentLandmarkPairs(worldBodyLandmarks, side),
+            this.createWorldMeasure(cmPerMetre)
+        );
+    }
+
+    /**
+     * Get the landmark pair that bounds each segment on one side
+     */
+    static getSegmentLandmarkPairs(bodyLandmarks, side) {
         const isLeft = side === 'left';
         
         const shoulder = isLeft ? bodyLandmarks.leftShoulder : bodyLandmarks.rightShoulder;
@@ -168,65 +734,329 @@ class MeasurementCalculator {
         const hip = isLeft ? bodyLandmarks.leftHip : bodyLandmarks.rightHip;
         const knee = isLeft ? bodyLandmarks.leftKnee : bodyLandmarks.rightKnee;
         const ankle = isLeft ? bodyLandmarks.leftAnkle : bodyLandmarks.rightAnkle;
+        const index = isLeft ? bodyLandmarks.leftIndex : bodyLandmarks.rightIndex;
+        const heel = isLeft ? bodyLandmarks.leftHeel : bodyLandmarks.rightHeel;
+        const footIndex = isLeft ? bodyLandmarks.leftFootIndex : bodyLandmarks.rightFootIndex;
 
+        return {
+            upperArm: [shoulder, elbow],  // Shoulder to elbow
+            forearm: [elbow, wrist],      // Elbow to wrist
+            thigh: [hip, knee],           // Hip to knee
+            shin: [knee, ankle],          // Knee to ankle
+            torso: [shoulder, hip],       // Shoulder to hip
+            inseam: [hip, heel],          // Hip to heel
+            foot: [heel, footIndex],      // Heel to toe tip
+            hand: [wrist, index]          // Wrist to index finger
+        };
+    }
+
+    /**
+     * Measure each landmark pair with the given measure function
+     */
+    measureSegmentPairs(segmentPairs, measure) {
         const segments = {};
 
-        // Upper arm (shoulder to elbow)
-        const upperArmPixels = PoseDetector.calculatePixelDistance(shoulder, elbow, imageWidth, imageHeight);
-        segments.upperArm = upperArmPixels ? upperArmPixels * pixelToCmRatio : null;
+        Object.keys(segmentPairs).forEach(segmentName => {
+            const [startLandmark, endLandmark] = segmentPairs[segmentName];
+            segments[segmentName] = measure(startLandmark, endLandmark);
+        });
 
-        // Forearm (elbow to wrist)
-        const forearmPixels = PoseDetector.calculatePixelDistance(elbow, wrist, imageWidth, imageHeight);
-        segments.forearm = forearmPixels ? forearmPixels * pixelToCmRatio : null;
+        return segments;
+    }
 
-        // Thigh (hip to knee)
-        const thighPixels = PoseDetector.calculatePixelDistance(hip, knee, imageWidth, imageHeight);
-        segments.thigh = thighPixels ? thighPixels * pixelToCmRatio : null;
+    /**
+     * Create a measure function for 2D pixel distances
+     */
+    createPixelMeasure(pixelToCmRatio, imageWidth, imageHeight) {
+        return (landmark1, landmark2) => {
+            const pixels = PoseDetector.calculatePixelDistance(landmark1, landmark2, imageWidth, imageHeight);
+            return pixels ? pixels * pixelToCmRatio : null;
+        };
+    }
 
-        // Shin (knee to ankle)
-        const shinPixels = PoseDetector.calculatePixelDistance(knee, ankle, imageWidth, imageHeight);
-        segments.shin = shinPixels ? shinPixels * pixelToCmRatio : null;
+    /**
+     * Create a measure function for 3D world distances
+     */
+    createWorldMeasure(cmPerMetre) {
+        return (landmark1, landmark2) => {
+            const metres = PoseDetector.calculateWorldDistance(landmark1, landmark2);
+            return metres ? metres * cmPerMetre : null;
+        };
+    }
+
+    /**
+     * Calculate measurements that span both sides of the body
+     */
+    calculateWholeBodyLengths(bodyLandmarks, bilateral, pixelToCmRatio, imageWidth, imageHeight) {
+        return this.calculateSpanningLengths(
+            bodyLandmarks,
+            bilateral,
+            this.createPixelMeasure(pixelToCmRatio, imageWidth, imageHeight)
+        );
+    }
+
+    /**
+     * Calculate breadths and arm span with the given measure function
+     */
+    calculateSpanningLengths(bodyLandmarks, bilateral, measure) {
+        const segments = {};
+
+        // Shoulder breadth (between shoulder landmarks)
+        segments.shoulderWidth = measure(bodyLandmarks.leftShoulder, bodyLandmarks.rightShoulder);
+
+        // Hip breadth (between hip landmarks)
+        segments.hipWidth = measure(bodyLandmarks.leftHip, bodyLandmarks.rightHip);
+
+        // Arm span: shoulder breadth plus both arms, so it works in an A-pose too
+        const armLength = (side) => {
+            const { upperArm, forearm, hand } = bilateral[side];
+            return upperArm && forearm && hand ? upperArm + forearm + hand : null;
+        };
+        const leftArm = armLength('left');
+        const rightArm = armLength('right');
+
+        if (segments.shoulderWidth && (leftArm || rightArm)) {
+            // Mirror the visible arm when the other is hidden
+            segments.armSpan = segments.shoulderWidth + (leftArm || rightArm) + (rightArm || leftArm);
+        } else {
+            segments.armSpan = null;
+        }
 
         return segments;
     }
 
     /**
-     * Validate measurements against standard body proportions
+     * Calculate 3D measurements from world landmarks, rescaled to the given height
+     */
+    calculateWorldMeasurements(worldLandmarks, side, height) {
+        const worldBodyLandmarks = PoseDetector.getBodyMeasurementLandmarks(worldLandmarks);
+        const worldHeight = this.getWorldHeight(worldBodyLandmarks);
+
+        if (!worldHeight || !height) return null;
+
+        // World landmarks are in metres for an average-sized body, so rescale to this person
+        const cmPerMetre = height / worldHeight;
+
+        const bilateral = {
+            left: this.calculateWorldSegmentLengths(worldBodyLandmarks, 'left', cmPerMetre),
+            right: this.calculateWorldSegmentLengths(worldBodyLandmarks, 'right', cmPerMetre)
+        };
+
+        const segments = {
+            ...this.calculateWorldSegmentLengths(worldBodyLandmarks, side, cmPerMetre),
+            ...this.calculateSpanningLengths(worldBodyLandmarks, bilateral, this.createWorldMeasure(cmPerMetre))
+        };
+
+        return {
+            segments: segments,
+            bilateral: bilateral,
+            cmPerMetre: cmPerMetre
+        };
+    }
+
+    /**
+     * Estimate body height in world units (metres)
      */
-    validateMeasurements(segments, userHeight) {
-        const validatedSegments = { ...segments };
+    getWorldHeight(worldBodyLandmarks) {
+        const { nose, leftHeel, rightHeel, leftShoulder, rightShoulder, leftAnkle, rightAnkle } = worldBodyLandmarks;
+
+        const mostVisible = (left, right) => {
+            const leftValid = PoseDetector.validateWorldLandmark(left);
+            const rightValid = PoseDetector.validateWorldLandmark(right);
+            if (leftValid && rightValid) return left.visibility >= right.visibility ? left : right;
+            return leftValid ? left : (rightValid ? right : null);
+        };
+
+        // Same reference points as the 2D pixel height
+        const heel = mostVisible(leftHeel, rightHeel);
+        const noseToHeel = PoseDetector.calculateWorldDistance(nose, heel);
+        if (noseToHeel) return noseToHeel;
+
+        const shoulderToAnkle = PoseDetector.calculateWorldDistance(
+            mostVisible(leftShoulder, rightShoulder),
+            mostVisible(leftAnkle, rightAnkle)
+        );
+        return shoulderToAnkle ? shoulderToAnkle * 1.15 : null; // Add 15% for head
+    }
+
+    /**
+     * Get the relative scale error for the scale method used
+     */
+    getScaleError(scaleMethod, referenceScale = null) {
+        const methodError = this.scaleMethodErrors[scaleMethod] || this.scaleMethodErrors['hip-to-head'];
+
+        if (scaleMethod !== 'reference-object' || !referenceScale?.referenceObject?.pixelLength) {
+            return methodError;
+        }
+
+        // Short reference objects magnify click error
+        const clickError = this.referenceClickError * Math.SQRT2 / referenceScale.referenceObject.pixelLength;
+        return Math.sqrt(methodError * methodError + clickError * clickError);
+    }
+
+    /**
+     * Estimate length error (cm) from landmark position error for each segment
+     * Less visible landmarks are assumed to be placed less precisely
+     */
+    calculateLandmarkErrors(bodyLandmarks, side, pixelToCmRatio, imageHeight) {
+        const pointError = (landmark) => PoseDetector.validateLandmark(landmark) ?
+            this.landmarkPositionError * imageHeight / landmark.visibility : null;
+
+        const pairError = (landmark1, landmark2) => {
+            const error1 = pointError(landmark1);
+            const error2 = pointError(landmark2);
+            return error1 && error2 ? Math.sqrt(error1 * error1 + error2 * error2) * pixelToCmRatio : null;
+        };
+
+        const errors = this.measureSegmentPairs(
+            MeasurementCalculator.getSegmentLandmarkPairs(bodyLandmarks, side),
+            pairError
+        );
+
+        errors.shoulderWidth = pairError(bodyLandmarks.leftShoulder, bodyLandmarks.rightShoulder);
+        errors.hipWidth = pairError(bodyLandmarks.leftHip, bodyLandmarks.rightHip);
+
+        // Arm span adds up shoulder width and both arms, mirrored like the span itself
+        const armError = (armSide) => {
+            const pairs = MeasurementCalculator.getSegmentLandmarkPairs(bodyLandmarks, armSide);
+            const parts = [pairs.upperArm, pairs.forearm, pairs.hand].map(pair => pairError(...pair));
+            return parts.every(part => part) ?
+                Math.sqrt(parts.reduce((sum, part) => sum + part * part, 0)) : null;
+        };
+        const leftArmError = armError('left');
+        const rightArmError = armError('right');
+
+        if (errors.shoulderWidth && (leftArmError || rightArmError)) {
+            const left = leftArmError || rightArmError;
+            const right = rightArmError || leftArmError;
+            errors.armSpan = Math.sqrt(
+                errors.shoulderWidth * errors.shoulderWidth + left * left + right * right
+            );
+        } else {
+            errors.armSpan = null;
+        }
+
+        return errors;
+    }
+
+    /**
+     * Combine landmark, scale and (optional) burst spread errors into a ± range per segment
+     */
+    combineUncertainty(segments, landmarkErrors, scaleError, spread = null) {
+        const uncertainty = {};
+
+        Object.keys(segments).forEach(segmentName => {
+            const length = segments[segmentName];
+            const landmark = landmarkErrors[segmentName];
+            if (!length || !landmark) return;
+
+            const scale = length * scaleError;
+            const frameSpread = spread && spread[segmentName] ? spread[segmentName].sd : 0;
+            const standardError = Math.sqrt(landmark * landmark + scale * scale + frameSpread * frameSpread);
+
+            uncertainty[segmentName] = {
+                plusMinus: standardError * this.uncertaintyCoverage,
+                landmark: landmark,
+                scale: scale,
+                spread: frameSpread
+            };
+        });
+
+        return uncertainty;
+    }
+
+    /**
+     * Compare 2D and 3D lengths and flag segments foreshortened in the photo
+     */
+    compareSegmentLengths(segments2d, segments3d, threshold = this.foreshorteningThreshold) {
+        const comparison = {};
+
+        Object.keys(segments3d).forEach(segmentName => {
+            const length2d = segments2d[segmentName];
+            const length3d = segments3d[segmentName];
+            if (!length2d || !length3d) return;
+
+            const differencePercent = (length3d - length2d) / length3d * 100;
+
+            comparison[segmentName] = {
+                length2d: length2d,
+                length3d: length3d,
+                differencePercent: differencePercent,
+                foreshortened: differencePercent > threshold
+            };
+        });
+
+        return comparison;
+    }
+
+    /**
+     * Get the norm table for the current sex and age
+     */
+    getNormTable() {
+        return this.normTables.findTable(this.normProfile);
+    }
+
+    /**
+     * Validate measurements against population norms
+     * Returns a list of warnings; measured values are never changed
+     */
+    validateMeasurements(segments, height, normTable = this.getNormTable()) {
         const warnings = [];
 
-        // Check each segment against standard proportions
+        if (!height) return warnings;
+
+        // Check each segment against the expected proportion of height
         Object.keys(segments).forEach(segmentName => {
             const measurement = segments[segmentName];
             if (!measurement) return;
 
-            const standardProportion = this.standardProportions[segmentName + 'ToHeight'];
-            if (!standardProportion) return;
+            const norm = NormTables.getSegmentNorm(normTable, segmentName);
+            if (!norm) return;
 
-            const expectedLength = userHeight * standardProportion;
+            const expectedLength = height * norm.ratio;
             const ratio = measurement / expectedLength;
 
-            // Flag measurements that are very far from expected (outside 0.7-1.3 range)
-            if (ratio < 0.7 || ratio > 1.3) {
-                warnings.push(`${segmentName} measurement (${measurement.toFixed(1)}cm) seems unusual for height ${userHeight}cm`);
-                
-                // For very extreme values, we might want to cap them
-                if (ratio < 0.5) {
-                    validatedSegments[segmentName] = expectedLength * 0.7; // Set to minimum reasonable value
-                } else if (ratio > 2.0) {
-                    validatedSegments[segmentName] = expectedLength * 1.3; // Set to maximum reasonable value
-                }
+            if (ratio < norm.low || ratio > norm.high) {
+                warnings.push({
+                    segment: segmentName,
+                    value: measurement,
+                    expected: expectedLength,
+                    ratio: ratio,
+                    range: { min: expectedLength * norm.low, max: expectedLength * norm.high },
+                    direction: ratio < norm.low ? 'low' : 'high',
+                    normTable: normTable.id,
+                    message: `${MeasurementCalculator.getSegmentLabel(segmentName)} (${measurement.toFixed(1)} cm) is ${ratio < norm.low ? 'shorter' : 'longer'} than expected for height ${Math.round(height)} cm`
+                });
             }
         });
 
-        // Log warnings for debugging
-        if (warnings.length > 0) {
-            console.warn('Measurement validation warnings:', warnings);
-        }
+        return warnings;
+    }
+
+    /**
+     * Calculate left/right asymmetry for each segment measured on both sides
+     */
+    calculateAsymmetry(leftSegments, rightSegments, threshold = this.asymmetryThreshold) {
+        const asymmetry = {};
+
+        Object.keys(leftSegments).forEach(segmentName => {
+            const left = leftSegments[segmentName];
+            const right = rightSegments[segmentName];
+            if (!left || !right) return;
 
-        return validatedSegments;
+            const difference = left - right;
+            const percent = Math.abs(difference) / ((left + right) / 2) * 100;
+
+            asymmetry[segmentName] = {
+                left: left,
+                right: right,
+                difference: difference,
+                percent: percent,
+                flagged: percent > threshold
+            };
+        });
+
+        return asymmetry;
     }
 
     /**
@@ -256,6 +1086,284 @@ class MeasurementCalculator {
         return validLandmarks > 0 ? totalConfidence / validLandmarks : 0;
     }
 
+    /**
+     * Combine measurements from a burst of frames into one median measurement
+     * Each frame is { measurements, confidence }; frames below minConfidence are dropped
+     */
+    aggregateFrameMeasurements(frames, minConfidence = 0.7) {
+        const usableFrames = frames.filter(frame => frame.confidence >= minConfidence);
+        if (usableFrames.length === 0) return null;
+
+        // Landmarks and scale come from the most confident frame
+        const baseFrame = usableFrames.reduce((best, frame) =>
+            frame.confidence > best.confidence ? frame : best
+        );
+
+        const summarize = (getSegments) => {
+            const medians = {};
+            const spread = {};
+
+            Object.keys(getSegments(baseFrame.measurements)).forEach(segmentName => {
+                const values = usableFrames
+                    .map(frame => getSegments(frame.measurements)[segmentName])
+                    .filter(value => value);
+
+                if (values.length === 0) {
+                    medians[segmentName] = null;
+                    return;
+                }
+
+                medians[segmentName] = SmoothingUtils.median(values);
+                spread[segmentName] = {
+                    min: Math.min(...values),
+                    max: Math.max(...values),
+                    sd: SmoothingUtils.standardDeviation(values),
+                    n: values.length
+                };
+            });
+
+            return { medians, spread };
+        };
+
+        const segments = summarize(measurements => measurements.segments);
+        const left = summarize(measurements => measurements.bilateral.left);
+        const right = summarize(measurements => measurements.bilateral.right);
+
+        // Frames can fall back to 2D when world landmarks are missing, so keep the base frame's mode
+        const segments2d = baseFrame.measurements.segments2d ?
+            summarize(measurements => measurements.segments2d || {}) : null;
+
+        const measurements = {
+            ...baseFrame.measurements,
+            segments: segments.medians,
+            bilateral: {
+                left: left.medians,
+                right: right.medians
+            },
+            asymmetry: this.calculateAsymmetry(left.medians, right.medians),
+            validationWarnings: this.validateMeasurements(
+                segments.medians,
+                baseFrame.measurements.userHeight || baseFrame.measurements.estimatedHeight
+            ),
+            segments2d: segments2d ? segments2d.medians : null,
+            segmentComparison: segments2d ?
+                this.compareSegmentLengths(segments2d.medians, segments.medians) : null,
+            uncertainty: this.combineUncertainty(
+                segments.medians,
+                this.getLandmarkErrors(baseFrame.measurements.uncertainty),
+                baseFrame.measurements.scaleError,
+                segments.spread
+            ),
+            burst: {
+                framesCaptured: frames.length,
+                framesUsed: usableFrames.length,
+                minConfidence: minConfidence,
+                spread: segments.spread
+            },
+            timestamp: Date.now()
+        };
+
+        return {
+            measurements: measurements,
+            baseFrame: baseFrame
+        };
+    }
+
+    /**
+     * Pick the one scale a moving capture is measured at: that of the most upright confident frame
+     * Bending, crouching and leaning shorten the stature in pixels, so a frame scaled from its own stature
+     * stretches every bone by the same factor; the camera does not move, so one scale fits every frame
+     */
+    getMovingScale(frames, minConfidence = 0.7) {
+        const usableFrames = frames.filter(frame => frame.confidence >= minConfidence && frame.measurements.pixelToCmRatio);
+        if (usableFrames.length === 0) return null;
+
+        // The tallest stature (fewest cm per pixel) is the most upright frame
+        const scaleFrame = usableFrames.reduce((best, frame) =>
+            frame.measurements.pixelToCmRatio < best.measurements.pixelToCmRatio ? frame : best
+        );
+
+        return {
+            pixelToCmRatio: scaleFrame.measurements.pixelToCmRatio,
+            photoPixelToCmRatio: scaleFrame.measurements.photoPixelToCmRatio,
+            scaleMethod: scaleFrame.measurements.scaleMethod
+        };
+    }
+
+    /**
+     * Combine measurements from several seconds of moving video
+     * Frames are in time order and measured at one scale (getMovingScale). Each segment's lengths are run
+     * through a SmoothingFilter; frames close to
+     * the smoothed length (and with confident landmarks) count for more in the final value. Segments
+     * that vary too much across the video, or were seen in too few frames, are rejected and left empty
+     */
+    aggregateMovingMeasurements(frames, minConfidence = 0.7) {
+        const usableFrames = frames.filter(frame => frame.confidence >= minConfidence);
+        if (usableFrames.length === 0) return null;
+
+        const baseFrame = usableFrames.reduce((best, frame) =>
+            frame.confidence > best.confidence ? frame : best
+        );
+
+        const summarize = (getSegments) => {
+            const values = {};
+            const consistency = {};
+
+            Object.keys(getSegments(baseFrame.measurements)).forEach(segmentName => {
+                const samples = usableFrames
+                    .map(frame => ({ length: getSegments(frame.measurements)[segmentName], confidence: frame.confidence }))
+                    .filter(sample => sample.length);
+
+                const entry = this.checkSegmentConsistency(samples);
+                values[segmentName] = entry && entry.stable ? entry.value : null;
+                if (entry) consistency[segmentName] = entry;
+            });
+
+            return { values, consistency };
+        };
+
+        const segments = summarize(measurements => measurements.segments);
+        const left = summarize(measurements => measurements.bilateral.left);
+        const right = summarize(measurements => measurements.bilateral.right);
+
+        // Frame-to-frame spread of the stable segments feeds the ± ranges
+        const spread = {};
+        Object.keys(segments.consistency).forEach(segmentName => {
+            const entry = segments.consistency[segmentName];
+            if (entry.stable) spread[segmentName] = entry;
+        });
+
+        const measurements = {
+            ...baseFrame.measurements,
+            segments: segments.values,
+            bilateral: {
+                left: left.values,
+                right: right.values
+            },
+            asymmetry: this.calculateAsymmetry(left.values, right.values),
+            validationWarnings: baseFrame.measurements.posture === 'seated' ? [] : this.validateMeasurements(
+                segments.values,
+                baseFrame.measurements.userHeight || baseFrame.measurements.estimatedHeight
+            ),
+            segments2d: null,
+            segmentComparison: null,
+            uncertainty: this.combineUncertainty(
+                segments.values,
+                this.getLandmarkErrors(baseFrame.measurements.uncertainty),
+                baseFrame.measurements.scaleError,
+                spread
+            ),
+            burst: null,
+            moving: {
+                framesCaptured: frames.length,
+                framesUsed: usableFrames.length,
+                minConfidence: minConfidence,
+                maxVariation: this.movingMaxVariation,
+                consistency: segments.consistency,
+                rejected: Object.keys(segments.consistency).filter(segmentName => !segments.consistency[segmentName].stable)
+            },
+            timestamp: Date.now()
+        };
+
+        return {
+            measurements: measurements,
+            baseFrame: baseFrame
+        };
+    }
+
+    /**
+     * Check how steady one segment's length stayed across a moving video
+     * Samples are { length, confidence } in time order. Each frame is weighted by its confidence and by
+     * how close it is to the smoothed length: weight = confidence / (1 + (deviation / tolerance)²)
+     */
+    checkSegmentConsistency(samples) {
+        if (samples.length === 0) return null;
+
+        const lengths = samples.map(sample => sample.length);
+        const mean = lengths.reduce((sum, length) => sum + length, 0) / lengths.length;
+        const sd = SmoothingUtils.standardDeviation(lengths);
+        const variation = sd / mean * 100;
+
+        const filter = new SmoothingFilter(this.movingSmoothingWindow);
+        let weightedSum = 0;
+        let totalWeight = 0;
+
+        samples.forEach(sample => {
+            const smoothed = filter.addValue(sample.length);
+            const deviation = Math.abs(sample.length - smoothed) / smoothed * 100;
+            const weight = sample.confidence / (1 + Math.pow(deviation / this.movingStabilityTolerance, 2));
+
+            weightedSum += sample.length * weight;
+            totalWeight += weight;
+        });
+
+        let reason = null;
+        if (samples.length < this.movingMinFrames) {
+            reason = 'too-few-frames';
+        } else if (variation > this.movingMaxVariation) {
+            reason = 'unstable';
+        }
+
+        return {
+            value: weightedSum / totalWeight,
+            mean: mean,
+            sd: sd,
+            variation: variation,
+            min: Math.min(...lengths),
+            max: Math.max(...lengths),
+            n: samples.length,
+            stable: reason === null,
+            reason: reason
+        };
+    }
+
+    /**
+     * Pull the landmark error for each segment out of an uncertainty breakdown
+     */
+    getLandmarkErrors(uncertainty = {}) {
+        const landmarkErrors = {};
+
+        Object.keys(uncertainty).forEach(segmentName => {
+            landmarkErrors[segmentName] = uncertainty[segmentName].landmark;
+        });
+
+        return landmarkErrors;
+    }
+
+    /**
+     * Get display label for a segment
+     */
+    static getSegmentLabel(segmentName) {
+        const labels = {
+            upperArm: 'Upper Arm',
+            forearm: 'Forearm',
+            thigh: 'Thigh',
+            shin: 'Shin',
+            shoulderWidth: 'Shoulder Width',
+            hipWidth: 'Hip Width',
+            armSpan: 'Arm Span',
+            inseam: 'Inseam',
+            torso: 'Torso',
+            foot: 'Foot',
+            hand: 'Hand',
+            reach: 'Reach',
+            overheadReach: 'Overhead Reach'
+        };
+
+        return labels[segmentName] || segmentName;
+    }
+
+    /**
+     * Get all segment names in display order
+     */
+    static getSegmentNames() {
+        return [
+            'upperArm', 'forearm', 'thigh', 'shin',
+            'shoulderWidth', 'hipWidth', 'armSpan', 'inseam', 'torso', 'foot', 'hand',
+            'reach', 'overheadReach'
+        ];
+    }
+
     /**
      * Format measurements for display
      */
@@ -264,6 +1372,15 @@ class MeasurementCalculator {
         return `${value.toFixed(decimals)} ${unit}`;
     }
 
+    /**
+     * Format measurement with its ± range when known
+     */
+    static formatMeasurementWithUncertainty(value, uncertainty, unit = 'cm', decimals = 1) {
+        if (!value || value <= 0) return '-';
+        if (!uncertainty) return this.formatMeasurement(value, unit, decimals);
+        return `${value.toFixed(decimals)} ± ${uncertainty.plusMinus.toFixed(decimals)} ${unit}`;
+    }
+
     /**
      * Compare measurements with previous results
      */
@@ -291,6 +1408,82 @@ class MeasurementCalculator {
         return comparison;
     }
 
+    /**
+     * Calculate annualised growth for stature and each segment across saved measurements
+     * Rates are worked out between records at least growthMinIntervalDays apart
+     */
+    calculateGrowthVelocity(savedMeasurements, threshold = this.growthSpurtThreshold) {
+        const history = savedMeasurements
+            .filter(measurement => measurement.timestamp && measurement.segments)
+            .sort((a, b) => a.timestamp - b.timestamp);
+
+        const series = (getValue) => history
+            .map(measurement => ({ timestamp: measurement.timestamp, value: getValue(measurement) }))
+            .filter(point => typeof point.value === 'number' && point.value > 0);
+
+        const velocities = {
+            stature: this.calculateSeriesVelocity(series(measurement => measurement.userHeight), threshold)
+        };
+
+        MeasurementCalculator.getSegmentNames().forEach(segmentName => {
+            // Segments are reported without a spurt flag; the threshold is for stature
+            velocities[segmentName] = this.calculateSeriesVelocity(
+                series(measurement => measurement.segments[segmentName]),
+                null
+            );
+        });
+
+        return {
+            velocities: velocities,
+            threshold: threshold,
+            spurt: !!velocities.stature?.latest?.spurt
+        };
+    }
+
+    /**
+     * Calculate overall and per-interval growth rates for one time series
+     */
+    calculateSeriesVelocity(points, threshold) {
+        const msPerYear = 365.25 * 24 * 60 * 60 * 1000;
+        const minInterval = this.growthMinIntervalDays * 24 * 60 * 60 * 1000;
+
+        const intervals = [];
+        let anchor = points[0];
+
+        points.slice(1).forEach(point => {
+            if (point.timestamp - anchor.timestamp < minInterval) return;
+
+            const years = (point.timestamp - anchor.timestamp) / msPerYear;
+            const velocity = (point.value - anchor.value) / years;
+
+            intervals.push({
+                from: anchor.timestamp,
+                to: point.timestamp,
+                change: point.value - anchor.value,
+                velocity: velocity,
+                spurt: threshold !== null && velocity > threshold
+            });
+            anchor = point;
+        });
+
+        if (intervals.length === 0) return null;
+
+        const first = points[0];
+        const last = points.find(point => point.timestamp === intervals[intervals.length - 1].to);
+        const years = (last.timestamp - first.timestamp) / msPerYear;
+
+        return {
+            first: first.value,
+            latestValue: last.value,
+            change: last.value - first.value,
+            years: years,
+            velocity: (last.value - first.value) / years,
+            latest: intervals[intervals.length - 1],
+            intervals: intervals,
+            points: points
+        };
+    }
+
     /**
      * Get current scale information for athletic tests
      */
@@ -305,14 +1498,15 @@ class MeasurementCalculator {
 
     /**
      * Get scale from stored measurement data
+     * Camera frames are not tilt-corrected, so the uncorrected photo scale is used when there is one
      */
     static getScaleFromMeasurement(measurementData) {
-        if (!measurementData || !measurementData.pixelToCmRatio) {
+        const cmPerPx = measurementData ? measurementData.photoPixelToCmRatio || measurementData.pixelToCmRatio : null;
+        if (!cmPerPx) {
             return null;
         }
 
-        const pxPerCm = 1 / measurementData.pixelToCmRatio;
-        const cmPerPx = measurementData.pixelToCmRatio;
+        const pxPerCm = 1 / cmPerPx;
         const pxPerM = pxPerCm * 100;
 
         return {
@@ -0,0 +1,189 @@
+/**
+ * Norm Tables
+ * Population segment-to-height ratios keyed by sex and age band, used to validate measurements
+ */
+class NormTables {
+    constructor() {
+        this.tables = NormTables.getDefaultTables();
+
+        // Ids of tables loaded from JSON, including ones that replace a built-in table
+        this.loadedIds = new Set();
+    }
+
+    /**
+     * Get the built-in norm tables
+     * Proportions are segment length / height; a proportion may also be { ratio, low, high }
+     * to override the table tolerance for that segment
+     */
+    static getDefaultTables() {
+        const adultProportions = {
+            upperArm: 0.186,      // Upper arm is typically ~18.6% of height
+            forearm: 0.146,       // Forearm is typically ~14.6% of height
+            thigh: 0.245,         // Thigh is typically ~24.5% of height
+            shin: 0.246,          // Shin is typically ~24.6% of height
+            torso: 0.288,         // Shoulder joint to hip joint
+            inseam: 0.5,          // Hip joint to heel
+            foot: 0.152,          // Heel to toe tip
+            hand: 0.108,          // Wrist to index finger
+            shoulderWidth: 0.22,  // Between shoulder landmarks
+            hipWidth: 0.13,       // Between hip landmarks
+            armSpan: 1.0          // Arm span is typically close to height
+        };
+
+        return [
+            {
+                id: 'adult',
+                label: 'Adults (18+)',
+                sex: 'any',
+                minAge: 18,
+                maxAge: null,
+                tolerance: { low: 0.7, high: 1.3 },
+                proportions: adultProportions
+            },
+            {
+                // Adult ratios with a wider band until youth tables are loaded
+                id: 'youth',
+                label: 'Youth (under 18, adult ratios)',
+                sex: 'any',
+                minAge: 0,
+                maxAge: 17,
+                tolerance: { low: 0.6, high: 1.4 },
+                proportions: adultProportions
+            }
+        ];
+    }
+
+    /**
+     * Add or replace tables from parsed JSON (one table or an array of tables)
+     */
+    loadTables(data) {
+        const tables = Array.isArray(data) ? data : [data];
+
+        tables.forEach(table => {
+            if (!table || typeof table.id !== 'string' || !table.id) {
+                throw new Error('Each norm table needs an id');
+            }
+            if (!table.proportions || typeof table.proportions !== 'object') {
+                throw new Error(`Norm table "${table.id}" has no proportions`);
+            }
+            if (!['any', 'male', 'female'].includes(table.sex || 'any')) {
+                throw new Error(`Norm table "${table.id}" has an unknown sex: ${table.sex}`);
+            }
+            if (table.tolerance !== undefined && (!table.tolerance || typeof table.tolerance !== 'object')) {
+                throw new Error(`Norm table "${table.id}" has an invalid tolerance`);
+            }
+
+            const tolerance = NormTables.getTolerance(table);
+            if (!NormTables.isValidBand(tolerance)) {
+                throw new Error(`Norm table "${table.id}" needs a tolerance with 0 < low < 1 < high`);
+            }
+
+            Object.keys(table.proportions).forEach(segmentName => {
+                const proportion = table.proportions[segmentName];
+                const band = typeof proportion === 'number' ? { ratio: proportion, ...tolerance } :
+                    proportion && typeof proportion === 'object' ? { ...tolerance, ...proportion } : null;
+
+                if (!band || typeof band.ratio !== 'number' || !(band.ratio > 0)) {
+                    throw new Error(`Norm table "${table.id}" has an invalid ${segmentName} ratio`);
+                }
+                if (!NormTables.isValidBand(band)) {
+                    throw new Error(`Norm table "${table.id}" needs 0 < low < 1 < high for ${segmentName}`);
+                }
+            });
+        });
+
+        tables.forEach(table => {
+            const normalized = {
+                label: table.id,
+                sex: 'any',
+                minAge: null,
+                maxAge: null,
+                ...table,
+                tolerance: NormTables.getTolerance(table)
+            };
+
+            const index = this.tables.findIndex(existing => existing.id === table.id);
+            if (index >= 0) {
+                this.tables[index] = normalized;
+            } else {
+                this.tables.push(normalized);
+            }
+            this.loadedIds.add(table.id);
+        });
+
+        return tables.length;
+    }
+
+    /**
+     * Get a table's tolerance, with any missing limit taken from the default
+     */
+    static getTolerance(table) {
+        return { low: 0.7, high: 1.3, ...table.tolerance };
+    }
+
+    /**
+     * Check that a low/high band is numeric and brackets the expected ratio
+     */
+    static isValidBand(band) {
+        return typeof band.low === 'number' && typeof band.high === 'number' &&
+            band.low > 0 && band.low < 1 && band.high > 1;
+    }
+
+    /**
+     * Get tables that were loaded on top of the built-in ones, including replaced built-in tables
+     */
+    getCustomTables() {
+        return this.tables.filter(table => this.loadedIds.has(table.id));
+    }
+
+    /**
+     * Find the best table for a sex and age
+     * An exact sex match beats 'any', and a narrower age band beats a wider one.
+     * Ages are in whole years, so a maxAge of 17 covers everyone under 18
+     */
+    findTable(profile = {}) {
+        const { sex = null, age = null } = profile;
+
+        const matches = this.tables.filter(table => {
+            const sexMatches = table.sex === 'any' || table.sex === sex;
+            const ageMatches = age === null ||
+                ((table.minAge === null || age >= table.minAge) && (table.maxAge === null || age < table.maxAge + 1));
+            return sexMatches && ageMatches;
+        });
+
+        // Without an age, assume an adult
+        const candidates = age === null ?
+            matches.filter(table => table.minAge === null || table.minAge >= 18) : matches;
+
+        if (candidates.length === 0) {
+            return this.tables.find(table => table.id === 'adult') || this.tables[0];
+        }
+
+        const bandWidth = (table) => (table.maxAge === null ? 120 : table.maxAge + 1) - (table.minAge || 0);
+
+        return candidates.reduce((best, table) => {
+            const bestSexScore = best.sex === sex ? 1 : 0;
+            const sexScore = table.sex === sex ? 1 : 0;
+            if (sexScore !== bestSexScore) return sexScore > bestSexScore ? table : best;
+            return bandWidth(table) < bandWidth(best) ? table : best;
+        });
+    }
+
+    /**
+     * Get the expected ratio and tolerance for one segment in a table
+     */
+    static getSegmentNorm(table, segmentName) {
+        const proportion = table.proportions[segmentName];
+        if (!proportion) return null;
+
+        if (typeof proportion === 'number') {
+            return { ratio: proportion, low: table.tolerance.low, high: table.tolerance.high };
+        }
+
+        return {
+            ratio: proportion.ratio,
+            low: proportion.low !== undefined ? proportion.low : table.tolerance.low,
+            high: proportion.high !== undefined ? proportion.high : table.tolerance.high
+        };
+    }
+}
@@ -0,0 +1,167 @@
+/**
+ * Perspective Corrector
+ * Undoes camera tilt in body photos so lengths along the body are measured as if the camera were level
+ */
+class PerspectiveCorrector {
+    constructor() {
+        // Field of view across the long side of the photo (degrees); typical phone main camera
+        this.fieldOfView = 65;
+
+        // Tilts beyond this are treated as a mistake rather than corrected
+        this.maxTilt = 45;
+    }
+
+    /**
+     * Camera pitch below horizontal (degrees) from a device orientation reading
+     * Orientation is { beta, gamma, screenAngle }. The rear camera looks along the back of the screen, whose
+     * upward component is cos(beta)·cos(gamma) in any screen orientation; beta flips to ±180 once the screen
+     * tips past vertical in landscape, which gives the sign. The front camera looks the other way
+     */
+    static getTiltFromOrientation(orientation, facingMode = 'environment') {
+        if (!orientation || typeof orientation.beta !== 'number') return null;
+
+        const landscape = Math.abs(orientation.screenAngle || 0) === 90;
+        if (landscape && typeof orientation.gamma !== 'number') return null;
+
+        const toRadians = Math.PI / 180;
+        const gamma = typeof orientation.gamma === 'number' ? orientation.gamma : 0;
+        const pitch = Math.asin(Math.cos(orientation.beta * toRadians) * Math.cos(gamma * toRadians)) / toRadians;
+        return facingMode === 'user' ? -pitch : pitch;
+    }
+
+    /**
+     * Camera pitch below horizontal (degrees) from its height and distance (cm)
+     * Assumes the camera is aimed at aimHeight, e.g. the middle of the body
+     */
+    static getTiltFromCameraPosition(cameraHeight, cameraDistance, aimHeight) {
+        if (!cameraHeight || !cameraDistance || cameraDistance <= 0) return null;
+        return Math.atan2(cameraHeight - aimHeight, cameraDistance) * 180 / Math.PI;
+    }
+
+    /**
+     * Height (cm) the camera is taken to be aimed at: the middle of the body
+     * Falls back to an average adult when the height is unknown; seated athletes sit about 45 cm up
+     */
+    static getAimHeight(posture, userHeight = null, sittingHeight = null) {
+        if (posture === 'seated') {
+            return 45 + (sittingHeight || 90) / 2;
+        }
+        return (userHeight || 170) / 2;
+    }
+
+    /**
+     * Create a correction for a photo
+     * Params are { source, tiltDegrees, ... }; any extra params are kept so they can be stored with the result.
+     * Corrected points are normalized to a virtual photo (width x height pixels) that holds the whole
+     * corrected image, so they stay inside 0-1
+     */
+    createCorrection(params, imageWidth, imageHeight) {
+        const tiltDegrees = params.tiltDegrees;
+        if (typeof tiltDegrees !== 'number' || isNaN(tiltDegrees)) {
+            throw new Error('Perspective correction needs a camera tilt');
+        }
+        if (Math.abs(tiltDegrees) > this.maxTilt) {
+            throw new Error(`Camera tilt of ${tiltDegrees.toFixed(0)}° is too steep to correct; hold the camera more upright`);
+        }
+
+        const correction = {
+            ...params,
+            fieldOfView: params.fieldOfView || this.fieldOfView,
+            imageWidth: imageWidth,
+            imageHeight: imageHeight
+        };
+        correction.focalLength = Math.max(imageWidth, imageHeight) / 2 /
+            Math.tan(correction.fieldOfView / 2 * Math.PI / 180);
+
+        // Bounds of the corrected photo from its corners (straight edges stay straight)
+        const corners = [[0, 0], [imageWidth, 0], [0, imageHeight], [imageWidth, imageHeight]]
+            .map(([x, y]) => PerspectiveCorrector.levelPixel(correction, x, y));
+        correction.minX = Math.min(...corners.map(corner => corner.x));
+        correction.minY = Math.min(...corners.map(corner => corner.y));
+        correction.width = Math.max(...corners.map(corner => corner.x)) - correction.minX;
+        correction.height = Math.max(...corners.map(corner => corner.y)) - correction.minY;
+
+        return correction;
+    }
+
+    /**
+     * Map a photo pixel to where a level camera at the same spot would see it (pixels from the photo centre)
+     * The body is taken to be a vertical plane; the photo centre stays fixed
+     */
+    static levelPixel(correction, x, y) {
+        const tilt = correction.tiltDegrees * Math.PI / 180;
+        const f = correction.focalLength;
+        const u = x - correction.imageWidth / 2;
+        const v = y - correction.imageHeight / 2;
+
+        const depth = f * Math.cos(tilt) - v * Math.sin(tilt);
+        if (depth <= 0) {
+            throw new Error('Point is above the horizon of a tilted camera');
+        }
+
+        return {
+            x: f * u / depth,
+            y: f * (v * Math.cos(tilt) + f * Math.sin(tilt)) / depth - f * Math.tan(tilt)
+        };
+    }
+
+    /**
+     * Correct a normalized point; the result is normalized to the corrected photo
+     */
+    static correctPoint(correction, point) {
+        const level = this.levelPixel(correction, point.x * correction.imageWidth, point.y * correction.imageHeight);
+        return {
+            x: (level.x - correction.minX) / correction.width,
+            y: (level.y - correction.minY) / correction.height
+        };
+    }
+
+    /**
+     * Correct an array of landmarks, or an object of named landmarks
+     * Visibility and z are kept
+     */
+    static correctLandmarks(correction, landmarks) {
+        const correct = (landmark) => landmark ? { ...landmark, ...this.correctPoint(correction, landmark) } : landmark;
+
+        if (Array.isArray(landmarks)) {
+            return landmarks.map(correct);
+        }
+
+        const corrected = {};
+        Object.keys(landmarks).forEach(name => {
+            corrected[name] = correct(landmarks[name]);
+        });
+        return corrected;
+    }
+
+    /**
+     * Rescale a reference object calibration to the corrected photo
+     * The clicked end points are in photo pixels
+     */
+    static correctReferenceScale(correction, referenceScale) {
+        const points = referenceScale?.referenceObject?.points;
+        if (!points || points.length < 2) return referenceScale;
+
+        const [p1, p2] = points.map(point => this.correctPoint(correction, {
+            x: point.x / correction.imageWidth,
+            y: point.y / correction.imageHeight
+        }));
+        const pixelLength = Math.hypot((p2.x - p1.x) * correction.width, (p2.y - p1.y) * correction.height);
+
+        return {
+            ...referenceScale,
+            pixelToCmRatio: referenceScale.referenceObject.lengthCm / pixelLength
+        };
+    }
+
+    /**
+     * Format a correction for display, e.g. "12.5° down (device tilt)"
+     */
+    static formatCorrection(correction) {
+        if (!correction) return '';
+
+        const direction = correction.tiltDegrees >= 0 ? 'down' : 'up';
+        const source = correction.source === 'device' ? 'device tilt' : 'camera height and distance';
+        return `${Math.abs(correction.tiltDegrees).toFixed(1)}° ${direction} (${source})`;
+    }
+}
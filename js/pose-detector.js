@@ -11,6 +11,12 @@ class PoseDetector {
         this.onPoseDetected = null;
         this.onDetectionError = null;
         
+        // Resolver for a frame awaited through detectPoseForFrame
+        this.pendingFrameResolver = null;
+        
+        // Segmentation is only switched on for still photos
+        this.segmentationEnabled = false;
+        
         this.initializePoseDetector();
     }
 
@@ -29,7 +35,7 @@ class PoseDetector {
             this.pose.setOptions({
                 modelComplexity: 1, // 0, 1, or 2 (higher = more accurate but slower)
                 smoothLandmarks: true,
-                enableSegmentation: false, // We don't need segmentation for measurements
+                enableSegmentation: false, // Switched on per still photo by setSegmentationEnabled
                 smoothSegmentation: false,
                 minDetectionConfidence: 0.5,
                 minTrackingConfidence: 0.5
@@ -63,6 +69,12 @@ class PoseDetector {
             // Store reference to the image data for callback
             this.currentImageData = capturedPhoto;
             
+            // Still photos get a segmentation mask for head-top and foot detection
+            this.setSegmentationEnabled(true);
+
+            // A still photo, e.g. one loaded from a file, has nothing to do with the last tracked frame
+            this.resetTracking();
+            
             // Send image to MediaPipe
             await this.pose.send({ image: capturedPhoto.canvas });
             
@@ -74,6 +86,46 @@ class PoseDetector {
         }
     }
 
+    /**
+     * Detect pose for a single frame and resolve with its results
+     * Results are returned directly instead of going through onPoseDetected
+     * Options:
+     *   segmentation - also return a segmentation mask
+     *   independent - detect the frame on its own instead of tracking it from the previous frame
+     */
+    detectPoseForFrame(capturedPhoto, options = {}) {
+        const { segmentation = false, independent = false } = options;
+
+        if (!this.isInitialized || !this.pose) {
+            return Promise.reject(new Error('Pose detector not initialized'));
+        }
+
+        this.setSegmentationEnabled(segmentation);
+        if (independent) {
+            this.resetTracking();
+        }
+
+        return new Promise((resolve, reject) => {
+            this.currentImageData = capturedPhoto;
+            this.pendingFrameResolver = resolve;
+
+            this.pose.send({ image: capturedPhoto.canvas }).catch(error => {
+                this.pendingFrameResolver = null;
+                reject(error);
+            });
+        });
+    }
+
+    /**
+     * Forget the tracked pose so the next image is detected from scratch
+     * Landmark smoothing otherwise pulls each image towards the frames before it
+     */
+    resetTracking() {
+        if (this.pose && typeof this.pose.reset === 'function') {
+            this.pose.reset();
+        }
+    }
+
     /**
      * Detect pose from canvas data
      */
@@ -83,6 +135,9 @@ class PoseDetector {
         }
 
         try {
+            // Video frames skip segmentation to keep up with the frame rate
+            this.setSegmentationEnabled(false);
+            
             // Send canvas directly to MediaPipe
             await this.pose.send({ image: canvas });
         } catch (error) {
@@ -98,6 +153,18 @@ class PoseDetector {
      */
     handlePoseResults(results) {
         try {
+            // The mask is only valid inside this callback, so copy it out
+            if (results.segmentationMask) {
+                results.segmentationMaskData = PoseDetector.readSegmentationMask(results.segmentationMask);
+            }
+
+            if (this.pendingFrameResolver) {
+                const resolve = this.pendingFrameResolver;
+                this.pendingFrameResolver = null;
+                resolve(results);
+                return;
+            }
+
             if (this.onPoseDetected && this.currentImageData) {
                 this.onPoseDetected(results, this.currentImageData);
             }
@@ -110,10 +177,54 @@ class PoseDetector {
     }
 
     /**
-     * Get landmark by name
+     * Turn the segmentation mask on or off
      */
-    static getLandmarkByName(landmarks, landmarkName) {
-        const landmarkIndices = {
+    setSegmentationEnabled(enabled) {
+        if (!this.pose || this.segmentationEnabled === enabled) return;
+
+        this.pose.setOptions({ enableSegmentation: enabled });
+        this.segmentationEnabled = enabled;
+    }
+
+    /**
+     * Copy a MediaPipe segmentation mask into a plain { width, height, values } object
+     * Person pixels are opaque in the mask, so the alpha channel gives the person probability
+     */
+    static readSegmentationMask(segmentationMask) {
+        try {
+            const canvas = document.createElement('canvas');
+            canvas.width = segmentationMask.width;
+            canvas.height = segmentationMask.height;
+
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(segmentationMask, 0, 0);
+            const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+            const values = new Uint8Array(canvas.width * canvas.height);
+            for (let i = 0; i < values.length; i++) {
+                values[i] = data[i * 4 + 3];
+            }
+
+            return { width: canvas.width, height: canvas.height, values: values };
+        } catch (error) {
+            console.error('Failed to read segmentation mask:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Check whether a mask pixel belongs to the person
+     */
+    static isMaskPixel(mask, x, y, threshold = 0.5) {
+        if (x < 0 || y < 0 || x >= mask.width || y >= mask.height) return false;
+        return mask.values[y * mask.width + x] >= threshold * 255;
+    }
+
+    /**
+     * Get the MediaPipe index of each named landmark
+     */
+    static getLandmarkIndices() {
+        return {
             // Head and face
             'nose': 0,
             'left_eye_inner': 1,
@@ -153,11 +264,24 @@ class PoseDetector {
             'left_foot_index': 31,
             'right_foot_index': 32
         };
+    }
 
-        const index = landmarkIndices[landmarkName];
+    /**
+     * Get landmark by name
+     */
+    static getLandmarkByName(landmarks, landmarkName) {
+        const index = this.getLandmarkIndices()[landmarkName];
         return index !== undefined ? landmarks[index] : null;
     }
 
+    /**
+     * Get the name of a landmark index
+     */
+    static getLandmarkName(index) {
+        const landmarkIndices = this.getLandmarkIndices();
+        return Object.keys(landmarkIndices).find(name => landmarkIndices[name] === index) || `landmark_${index}`;
+    }
+
     /**
      * Get key landmarks for body measurements
      */
@@ -170,6 +294,8 @@ class PoseDetector {
             leftHip: this.getLandmarkByName(landmarks, 'left_hip'),
             leftKnee: this.getLandmarkByName(landmarks, 'left_knee'),
             leftAnkle: this.getLandmarkByName(landmarks, 'left_ankle'),
+            leftIndex: this.getLandmarkByName(landmarks, 'left_index'),
+            leftFootIndex: this.getLandmarkByName(landmarks, 'left_foot_index'),
             
             // Right side landmarks
             rightShoulder: this.getLandmarkByName(landmarks, 'right_shoulder'),
@@ -178,6 +304,8 @@ class PoseDetector {
             rightHip: this.getLandmarkByName(landmarks, 'right_hip'),
             rightKnee: this.getLandmarkByName(landmarks, 'right_knee'),
             rightAnkle: this.getLandmarkByName(landmarks, 'right_ankle'),
+            rightIndex: this.getLandmarkByName(landmarks, 'right_index'),
+            rightFootIndex: this.getLandmarkByName(landmarks, 'right_foot_index'),
             
             // Reference points for height estimation
             nose: this.getLandmarkByName(landmarks, 'nose'),
@@ -213,6 +341,50 @@ class PoseDetector {
         return Math.sqrt(Math.pow(x2 - x1, 2) + Math.pow(y2 - y1, 2));
     }
 
+    /**
+     * Calculate the angle at a joint (in degrees) between two neighbouring landmarks
+     */
+    static calculateJointAngle(landmark1, joint, landmark2, imageWidth, imageHeight) {
+        if (!this.validateLandmark(landmark1) || !this.validateLandmark(joint) || !this.validateLandmark(landmark2)) {
+            return null;
+        }
+
+        const v1x = (landmark1.x - joint.x) * imageWidth;
+        const v1y = (landmark1.y - joint.y) * imageHeight;
+        const v2x = (landmark2.x - joint.x) * imageWidth;
+        const v2y = (landmark2.y - joint.y) * imageHeight;
+
+        const lengths = Math.sqrt(v1x * v1x + v1y * v1y) * Math.sqrt(v2x * v2x + v2y * v2y);
+        if (lengths === 0) return null;
+
+        const cosine = (v1x * v2x + v1y * v2y) / lengths;
+        return Math.acos(Math.max(-1, Math.min(1, cosine))) * 180 / Math.PI;
+    }
+
+    /**
+     * Validate world landmark quality
+     * World coordinates are in metres around the hips, so only visibility is checked
+     */
+    static validateWorldLandmark(landmark, minVisibility = 0.5) {
+        return !!landmark &&
+               (landmark.visibility === undefined || landmark.visibility >= minVisibility);
+    }
+
+    /**
+     * Calculate 3D distance between two world landmarks in metres
+     */
+    static calculateWorldDistance(landmark1, landmark2) {
+        if (!this.validateWorldLandmark(landmark1) || !this.validateWorldLandmark(landmark2)) {
+            return null;
+        }
+
+        return Math.sqrt(
+            Math.pow(landmark2.x - landmark1.x, 2) +
+            Math.pow(landmark2.y - landmark1.y, 2) +
+            Math.pow((landmark2.z || 0) - (landmark1.z || 0), 2)
+        );
+    }
+
     /**
      * Get the best visible side for measurements
      */
@@ -0,0 +1,190 @@
+/**
+ * Pose Quality Checker
+ * Checks a live pose before capture: whole body in frame, A-pose, straight limbs and facing the camera
+ */
+class PoseQualityChecker {
+    constructor() {
+        // Landmarks must sit this far inside the frame edge (fraction of the image)
+        this.frameMargin = 0.02;
+
+        // Arm angle away from the torso for a neutral A-pose (degrees)
+        this.minArmAbduction = 15;
+        this.maxArmAbduction = 60;
+
+        // Feet roughly hip-width apart (ankle gap / hip width)
+        this.minFootSpread = 0.5;
+        this.maxFootSpread = 3.0;
+
+        // Joint angles that count as straight (degrees)
+        this.minElbowAngle = 160;
+        this.minKneeAngle = 165;
+
+        // Shoulder width / torso length; side-on poses fall well below this
+        this.minFacingRatio = 0.45;
+    }
+
+    /**
+     * Get display labels for each check
+     */
+    static getCheckLabels() {
+        return {
+            fullBody: 'Whole body in frame',
+            aPose: 'Neutral A-pose',
+            straightLimbs: 'Arms and legs straight',
+            facingCamera: 'Facing the camera'
+        };
+    }
+
+    /**
+     * Evaluate a pose
+     * Options:
+     *   view - 'front' (default), 'posture' or 'side'; posture fronts are taken with the arms by the
+     *          sides, so they skip the A-pose check, and side views also skip the facing check
+     */
+    evaluate(poseLandmarks, imageWidth, imageHeight, options = {}) {
+        const { view = 'front' } = options;
+        const bodyLandmarks = PoseDetector.getBodyMeasurementLandmarks(poseLandmarks);
+
+        const checks = {
+            fullBody: this.checkFullBody(bodyLandmarks)
+        };
+
+        if (view === 'side') {
+            checks.straightLimbs = this.checkStraightLimbs(bodyLandmarks, imageWidth, imageHeight, true);
+        } else {
+            if (view !== 'posture') {
+                checks.aPose = this.checkAPose(bodyLandmarks, imageWidth, imageHeight);
+            }
+            checks.straightLimbs = this.checkStraightLimbs(bodyLandmarks, imageWidth, imageHeight, false);
+            checks.facingCamera = this.checkFacingCamera(bodyLandmarks, imageWidth, imageHeight);
+        }
+
+        return {
+            checks: checks,
+            allPassed: Object.values(checks).every(check => check.passed),
+            view: view
+        };
+    }
+
+    /**
+     * Check that head, hands and feet are visible and inside the frame
+     */
+    checkFullBody(bodyLandmarks) {
+        const required = {
+            head: [bodyLandmarks.nose],
+            shoulders: [bodyLandmarks.leftShoulder, bodyLandmarks.rightShoulder],
+            hands: [bodyLandmarks.leftWrist, bodyLandmarks.rightWrist],
+            feet: [bodyLandmarks.leftHeel, bodyLandmarks.rightHeel, bodyLandmarks.leftFootIndex, bodyLandmarks.rightFootIndex]
+        };
+
+        const inFrame = (landmark) =>
+            PoseDetector.validateLandmark(landmark) &&
+            landmark.x >= this.frameMargin && landmark.x <= 1 - this.frameMargin &&
+            landmark.y >= this.frameMargin && landmark.y <= 1 - this.frameMargin;
+
+        // In a side view the far limbs are hidden, so one of each pair is enough
+        const missing = Object.keys(required).filter(part =>
+            part === 'head' ? !inFrame(required[part][0]) : !required[part].some(inFrame)
+        );
+
+        return {
+            passed: missing.length === 0,
+            message: missing.length === 0 ? 'Head to toe visible' : `Move back - ${missing.join(', ')} out of frame`
+        };
+    }
+
+    /**
+     * Check that both arms hang slightly away from the body and feet are apart
+     */
+    checkAPose(bodyLandmarks, imageWidth, imageHeight) {
+        const armAngle = (shoulder, hip, wrist) =>
+            PoseDetector.calculateJointAngle(hip, shoulder, wrist, imageWidth, imageHeight);
+
+        const leftArm = armAngle(bodyLandmarks.leftShoulder, bodyLandmarks.leftHip, bodyLandmarks.leftWrist);
+        const rightArm = armAngle(bodyLandmarks.rightShoulder, bodyLandmarks.rightHip, bodyLandmarks.rightWrist);
+
+        if (leftArm === null || rightArm === null) {
+            return { passed: false, message: 'Both arms need to be visible' };
+        }
+
+        if (Math.min(leftArm, rightArm) < this.minArmAbduction) {
+            return { passed: false, message: 'Move your arms slightly away from your body' };
+        }
+
+        if (Math.max(leftArm, rightArm) > this.maxArmAbduction) {
+            return { passed: false, message: 'Lower your arms' };
+        }
+
+        const hipWidth = PoseDetector.calculatePixelDistance(bodyLandmarks.leftHip, bodyLandmarks.rightHip, imageWidth, imageHeight);
+        const ankleGap = PoseDetector.calculatePixelDistance(bodyLandmarks.leftAnkle, bodyLandmarks.rightAnkle, imageWidth, imageHeight);
+
+        if (!hipWidth || !ankleGap) {
+            return { passed: false, message: 'Both feet need to be visible' };
+        }
+
+        const footSpread = ankleGap / hipWidth;
+        if (footSpread < this.minFootSpread) {
+            return { passed: false, message: 'Stand with your feet a little apart' };
+        }
+        if (footSpread > this.maxFootSpread) {
+            return { passed: false, message: 'Bring your feet closer together' };
+        }
+
+        return { passed: true, message: 'Good stance' };
+    }
+
+    /**
+     * Check that elbows and knees are straight
+     * With oneSideEnough, a single straight arm and leg passes (for side views)
+     */
+    checkStraightLimbs(bodyLandmarks, imageWidth, imageHeight, oneSideEnough) {
+        const angle = (a, joint, b) => PoseDetector.calculateJointAngle(a, joint, b, imageWidth, imageHeight);
+
+        const elbows = [
+            angle(bodyLandmarks.leftShoulder, bodyLandmarks.leftElbow, bodyLandmarks.leftWrist),
+            angle(bodyLandmarks.rightShoulder, bodyLandmarks.rightElbow, bodyLandmarks.rightWrist)
+        ].filter(value => value !== null);
+
+        const knees = [
+            angle(bodyLandmarks.leftHip, bodyLandmarks.leftKnee, bodyLandmarks.leftAnkle),
+            angle(bodyLandmarks.rightHip, bodyLandmarks.rightKnee, bodyLandmarks.rightAnkle)
+        ].filter(value => value !== null);
+
+        const requiredCount = oneSideEnough ? 1 : 2;
+        if (elbows.length < requiredCount || knees.length < requiredCount) {
+            return { passed: false, message: 'Elbows and knees need to be visible' };
+        }
+
+        const pick = oneSideEnough ? Math.max : Math.min;
+        if (pick(...elbows) < this.minElbowAngle) {
+            return { passed: false, message: 'Straighten your elbows' };
+        }
+        if (pick(...knees) < this.minKneeAngle) {
+            return { passed: false, message: 'Straighten your knees' };
+        }
+
+        return { passed: true, message: 'Limbs straight' };
+    }
+
+    /**
+     * Check that the shoulders are square to the camera
+     */
+    checkFacingCamera(bodyLandmarks, imageWidth, imageHeight) {
+        const shoulderWidth = PoseDetector.calculatePixelDistance(
+            bodyLandmarks.leftShoulder, bodyLandmarks.rightShoulder, imageWidth, imageHeight
+        );
+        const leftTorso = PoseDetector.calculatePixelDistance(bodyLandmarks.leftShoulder, bodyLandmarks.leftHip, imageWidth, imageHeight);
+        const rightTorso = PoseDetector.calculatePixelDistance(bodyLandmarks.rightShoulder, bodyLandmarks.rightHip, imageWidth, imageHeight);
+
+        if (!shoulderWidth || !leftTorso || !rightTorso) {
+            return { passed: false, message: 'Shoulders and hips need to be visible' };
+        }
+
+        const facingRatio = shoulderWidth / ((leftTorso + rightTorso) / 2);
+        if (facingRatio < this.minFacingRatio) {
+            return { passed: false, message: 'Turn to face the camera' };
+        }
+
+        return { passed: true, message: 'Facing the camera' };
+    }
+}
@@ -0,0 +1,213 @@
+/**
+ * Posture Assessor
+ * Screens static posture from a front and a side photo: shoulder tilt, pelvic tilt, forward head and knee valgus
+ */
+class PostureAssessor {
+    constructor() {
+        // Amber and red limits for each item (degrees)
+        this.thresholds = {
+            shoulderTilt: { amber: 2, red: 4 },
+            pelvicObliquity: { amber: 2, red: 4 },
+            forwardHead: { amber: 10, red: 20 },
+            kneeValgus: { amber: 5, red: 10 }
+        };
+    }
+
+    /**
+     * Get display labels for each item
+     */
+    static getItemLabels() {
+        return {
+            shoulderTilt: 'Shoulder Height',
+            pelvicObliquity: 'Pelvic Obliquity',
+            forwardHead: 'Forward Head',
+            kneeValgus: 'Knee Valgus'
+        };
+    }
+
+    /**
+     * Assess the front photo: shoulder tilt, pelvic obliquity and knee valgus
+     * pixelToCmRatio (cm per pixel) is optional; without it offsets are reported in degrees only
+     */
+    assessFront(poseLandmarks, imageWidth, imageHeight, pixelToCmRatio = null) {
+        const bodyLandmarks = PoseDetector.getBodyMeasurementLandmarks(poseLandmarks);
+
+        return {
+            shoulderTilt: this.assessLevel(
+                'shoulderTilt', bodyLandmarks.leftShoulder, bodyLandmarks.rightShoulder,
+                imageWidth, imageHeight, pixelToCmRatio
+            ),
+            pelvicObliquity: this.assessLevel(
+                'pelvicObliquity', bodyLandmarks.leftHip, bodyLandmarks.rightHip,
+                imageWidth, imageHeight, pixelToCmRatio
+            ),
+            kneeValgus: this.assessKneeValgus(bodyLandmarks, imageWidth, imageHeight)
+        };
+    }
+
+    /**
+     * Assess the side photo: head position relative to the shoulder
+     */
+    assessSide(poseLandmarks, imageWidth, imageHeight, pixelToCmRatio = null) {
+        return {
+            forwardHead: this.assessForwardHead(poseLandmarks, imageWidth, imageHeight, pixelToCmRatio)
+        };
+    }
+
+    /**
+     * Combine front and side items into one report
+     */
+    createReport(frontItems, sideItems) {
+        const items = { ...frontItems, ...sideItems };
+        const ratings = Object.values(items).filter(item => item).map(item => item.rating);
+
+        let overall = 'green';
+        if (ratings.includes('red')) {
+            overall = 'red';
+        } else if (ratings.includes('amber')) {
+            overall = 'amber';
+        }
+
+        return {
+            items: items,
+            overall: overall,
+            timestamp: Date.now()
+        };
+    }
+
+    /**
+     * Assess how level a left/right landmark pair is
+     * The higher side is the one nearer the top of the image
+     */
+    assessLevel(itemName, left, right, imageWidth, imageHeight, pixelToCmRatio) {
+        if (!PoseDetector.validateLandmark(left) || !PoseDetector.validateLandmark(right)) {
+            return null;
+        }
+
+        const dx = Math.abs(left.x - right.x) * imageWidth;
+        const dy = (left.y - right.y) * imageHeight;
+        const angle = Math.atan2(Math.abs(dy), dx) * 180 / Math.PI;
+        const higherSide = dy < 0 ? 'left' : 'right';
+
+        return {
+            value: angle,
+            offsetCm: pixelToCmRatio ? Math.abs(dy) * pixelToCmRatio : null,
+            direction: angle > 0 ? `${higherSide} higher` : 'level',
+            rating: this.rate(itemName, angle),
+            overlay: { type: 'level', points: [left, right] }
+        };
+    }
+
+    /**
+     * Assess knee valgus on both sides from the hip-knee-ankle angle
+     * Positive angles are valgus (knee inside the hip-ankle line), negative are varus
+     */
+    assessKneeValgus(bodyLandmarks, imageWidth, imageHeight) {
+        if (!PoseDetector.validateLandmark(bodyLandmarks.leftHip) || !PoseDetector.validateLandmark(bodyLandmarks.rightHip)) {
+            return null;
+        }
+
+        const midlineX = (bodyLandmarks.leftHip.x + bodyLandmarks.rightHip.x) / 2;
+        const sides = {};
+
+        ['left', 'right'].forEach(side => {
+            const hip = bodyLandmarks[`${side}Hip`];
+            const knee = bodyLandmarks[`${side}Knee`];
+            const ankle = bodyLandmarks[`${side}Ankle`];
+
+            const kneeAngle = PoseDetector.calculateJointAngle(hip, knee, ankle, imageWidth, imageHeight);
+            if (kneeAngle === null || ankle.y === hip.y) {
+                sides[side] = null;
+                return;
+            }
+
+            // Where the straight hip-ankle line passes at knee height
+            const lineX = hip.x + (ankle.x - hip.x) * (knee.y - hip.y) / (ankle.y - hip.y);
+            const isMedial = Math.abs(knee.x - midlineX) < Math.abs(lineX - midlineX);
+
+            sides[side] = (180 - kneeAngle) * (isMedial ? 1 : -1);
+        });
+
+        const measured = ['left', 'right'].filter(side => sides[side] !== null);
+        if (measured.length === 0) return null;
+
+        // Rate the knee furthest from straight
+        const worst = measured.reduce((a, b) => Math.abs(sides[a]) >= Math.abs(sides[b]) ? a : b);
+        const value = sides[worst];
+
+        return {
+            value: value,
+            sides: sides,
+            direction: `${worst} ${value >= 0 ? 'valgus' : 'varus'}`,
+            rating: this.rate('kneeValgus', Math.abs(value)),
+            overlay: {
+                type: 'chain',
+                points: measured.map(side => [
+                    bodyLandmarks[`${side}Hip`],
+                    bodyLandmarks[`${side}Knee`],
+                    bodyLandmarks[`${side}Ankle`]
+                ])
+            }
+        };
+    }
+
+    /**
+     * Assess how far the ear sits in front of the shoulder in a side view
+     * Uses the side nearer the camera; the nose gives the facing direction
+     */
+    assessForwardHead(poseLandmarks, imageWidth, imageHeight, pixelToCmRatio) {
+        const visibility = (landmark) => landmark ? landmark.visibility || 0 : 0;
+        const side = ['left', 'right'].reduce((a, b) =>
+            visibility(PoseDetector.getLandmarkByName(poseLandmarks, `${a}_ear`)) +
+            visibility(PoseDetector.getLandmarkByName(poseLandmarks, `${a}_shoulder`)) >=
+            visibility(PoseDetector.getLandmarkByName(poseLandmarks, `${b}_ear`)) +
+            visibility(PoseDetector.getLandmarkByName(poseLandmarks, `${b}_shoulder`)) ? a : b
+        );
+
+        const ear = PoseDetector.getLandmarkByName(poseLandmarks, `${side}_ear`);
+        const shoulder = PoseDetector.getLandmarkByName(poseLandmarks, `${side}_shoulder`);
+        const nose = PoseDetector.getLandmarkByName(poseLandmarks, 'nose');
+
+        if (!PoseDetector.validateLandmark(ear) || !PoseDetector.validateLandmark(shoulder) ||
+            !PoseDetector.validateLandmark(nose, 0.3)) {
+            return null;
+        }
+
+        const facing = nose.x >= ear.x ? 1 : -1;
+        const forwardPx = (ear.x - shoulder.x) * imageWidth * facing;
+        const risePx = (shoulder.y - ear.y) * imageHeight;
+        if (risePx <= 0) return null;
+
+        // Angle of the shoulder-to-ear line from vertical; positive when the head is forward
+        const angle = Math.atan2(forwardPx, risePx) * 180 / Math.PI;
+
+        return {
+            value: angle,
+            offsetCm: pixelToCmRatio ? forwardPx * pixelToCmRatio : null,
+            direction: angle >= 0 ? 'forward' : 'behind shoulder',
+            rating: this.rate('forwardHead', Math.max(0, angle)),
+            overlay: { type: 'vertical', points: [shoulder, ear] }
+        };
+    }
+
+    /**
+     * Rate a value against an item's amber and red limits
+     */
+    rate(itemName, value) {
+        const limits = this.thresholds[itemName];
+        if (value >= limits.red) return 'red';
+        if (value >= limits.amber) return 'amber';
+        return 'green';
+    }
+
+    /**
+     * Format an item value for display
+     */
+    static formatItem(item) {
+        if (!item) return '-';
+
+        const offset = item.offsetCm !== null && item.offsetCm !== undefined ?
+            ` (${Math.abs(item.offsetCm).toFixed(1)} cm)` : '';
+        return `${Math.abs(item.value).toFixed(1)}°${offset} ${item.direction}`;
+    }
+}
@@ -0,0 +1,120 @@
+/**
+ * Range of Motion Calculator
+ * Measures joint angles from landmark triplets and compares left and right sides
+ */
+class RangeOfMotionCalculator {
+    constructor() {
+        // Left/right difference (degrees) that gets flagged
+        this.asymmetryThreshold = 10;
+    }
+
+    /**
+     * Get the joints that can be measured
+     * Each joint uses three landmark names per side (proximal, joint, distal) and converts
+     * the inner angle at the joint to the clinical angle
+     */
+    static getJointDefinitions() {
+        return {
+            elbowFlexion: {
+                label: 'Elbow Flexion',
+                landmarks: ['shoulder', 'elbow', 'wrist'],
+                toClinical: angle => 180 - angle   // 0° with the arm straight
+            },
+            kneeFlexion: {
+                label: 'Knee Flexion',
+                landmarks: ['hip', 'knee', 'ankle'],
+                toClinical: angle => 180 - angle   // 0° with the leg straight
+            },
+            hipFlexion: {
+                label: 'Hip Flexion',
+                landmarks: ['shoulder', 'hip', 'knee'],
+                toClinical: angle => 180 - angle   // 0° standing upright
+            },
+            shoulderAbduction: {
+                label: 'Shoulder Abduction',
+                landmarks: ['hip', 'shoulder', 'elbow'],
+                toClinical: angle => angle         // 0° with the arm by the side
+            },
+            ankleDorsiflexion: {
+                label: 'Ankle Dorsiflexion',
+                landmarks: ['knee', 'ankle', 'foot_index'],
+                toClinical: angle => 90 - angle    // 0° with the foot square to the shin
+            }
+        };
+    }
+
+    /**
+     * Calculate every joint angle on both sides
+     */
+    calculateAngles(poseLandmarks, imageWidth, imageHeight) {
+        const joints = {};
+
+        Object.entries(RangeOfMotionCalculator.getJointDefinitions()).forEach(([jointName, definition]) => {
+            const angles = {};
+
+            ['left', 'right'].forEach(side => {
+                const [proximal, joint, distal] = definition.landmarks
+                    .map(name => PoseDetector.getLandmarkByName(poseLandmarks, `${side}_${name}`));
+                const angle = PoseDetector.calculateJointAngle(proximal, joint, distal, imageWidth, imageHeight);
+
+                angles[side] = angle !== null ? definition.toClinical(angle) : null;
+            });
+
+            joints[jointName] = this.compareSides(angles.left, angles.right);
+        });
+
+        return {
+            joints: joints,
+            timestamp: Date.now()
+        };
+    }
+
+    /**
+     * Compare left and right angles for one joint
+     */
+    compareSides(left, right, threshold = this.asymmetryThreshold) {
+        const difference = left !== null && right !== null ? Math.abs(left - right) : null;
+
+        return {
+            left: left,
+            right: right,
+            difference: difference,
+            flagged: difference !== null && difference > threshold
+        };
+    }
+
+    /**
+     * Summarize a session of captures into the peak angle reached per joint and side
+     */
+    summarizeSession(captures) {
+        const peaks = {};
+
+        Object.keys(RangeOfMotionCalculator.getJointDefinitions()).forEach(jointName => {
+            const peak = (side) => {
+                const values = captures
+                    .map(capture => capture.joints[jointName][side])
+                    .filter(value => value !== null);
+                return values.length > 0 ? Math.max(...values) : null;
+            };
+
+            peaks[jointName] = this.compareSides(peak('left'), peak('right'));
+        });
+
+        return peaks;
+    }
+
+    /**
+     * Get the landmark triplet for one joint and side, for drawing
+     */
+    static getJointLandmarks(poseLandmarks, jointName, side) {
+        const definition = this.getJointDefinitions()[jointName];
+        return definition.landmarks.map(name => PoseDetector.getLandmarkByName(poseLandmarks, `${side}_${name}`));
+    }
+
+    /**
+     * Format an angle for display
+     */
+    static formatAngle(angle) {
+        return angle !== null && angle !== undefined ? `${Math.round(angle)}°` : '-';
+    }
+}
@@ -0,0 +1,151 @@
+/**
+ * Reference Scale Calibrator
+ * Sets the pixel-to-cm scale by clicking both ends of a known-size object in the photo
+ */
+class ReferenceScaleCalibrator {
+    constructor() {
+        this.points = [];
+        this.isCalibrating = false;
+        this.referenceObject = null;
+        this.canvas = null;
+        this.clickHandler = null;
+
+        // Callbacks
+        this.onCalibrationPoint = null;
+        this.onCalibrationComplete = null;
+        this.onCalibrationError = null;
+    }
+
+    /**
+     * Get the supported reference objects
+     */
+    static getReferenceObjects() {
+        return {
+            'a4-long': { label: 'A4 sheet (long edge)', lengthCm: 29.7 },
+            'a4-short': { label: 'A4 sheet (short edge)', lengthCm: 21.0 },
+            'credit-card': { label: 'Credit card (long edge)', lengthCm: 8.56 },
+            'custom': { label: 'Custom length', lengthCm: null }
+        };
+    }
+
+    /**
+     * Start calibration on a canvas
+     */
+    startCalibration(canvas, objectType, customLengthCm = null) {
+        const referenceObject = ReferenceScaleCalibrator.getReferenceObjects()[objectType];
+        if (!referenceObject) {
+            throw new Error(`Unknown reference object: ${objectType}`);
+        }
+
+        const lengthCm = objectType === 'custom' ? customLengthCm : referenceObject.lengthCm;
+        if (!lengthCm || lengthCm <= 0) {
+            throw new Error('Reference object length must be greater than 0');
+        }
+
+        this.cancelCalibration();
+
+        this.referenceObject = {
+            type: objectType,
+            label: referenceObject.label,
+            lengthCm: lengthCm
+        };
+        this.points = [];
+        this.isCalibrating = true;
+        this.canvas = canvas;
+
+        this.setupClickHandler();
+
+        console.log(`Starting reference scale calibration with ${referenceObject.label} (${lengthCm} cm)`);
+    }
+
+    /**
+     * Set up canvas click handler
+     */
+    setupClickHandler() {
+        if (!this.canvas) return;
+
+        this.clickHandler = (event) => {
+            if (!this.isCalibrating) return;
+
+            const rect = this.canvas.getBoundingClientRect();
+            const scaleX = this.canvas.width / rect.width;
+            const scaleY = this.canvas.height / rect.height;
+
+            const x = (event.clientX - rect.left) * scaleX;
+            const y = (event.clientY - rect.top) * scaleY;
+
+            this.addPoint(x, y);
+        };
+
+        this.canvas.addEventListener('click', this.clickHandler);
+    }
+
+    /**
+     * Add an end point of the reference object
+     */
+    addPoint(x, y) {
+        this.points.push({ x, y });
+
+        if (this.onCalibrationPoint) {
+            this.onCalibrationPoint(this.points.length, { x, y });
+        }
+
+        if (this.points.length >= 2) {
+            this.completeCalibration();
+        }
+    }
+
+    /**
+     * Complete calibration and report the scale
+     * End points on top of each other are discarded so both ends can be clicked again
+     */
+    completeCalibration() {
+        const [p1, p2] = this.points;
+        const pixelLength = Math.sqrt(Math.pow(p2.x - p1.x, 2) + Math.pow(p2.y - p1.y, 2));
+
+        if (pixelLength < 1) {
+            this.points = [];
+            if (this.onCalibrationError) {
+                this.onCalibrationError('Reference object end points are too close together. Click both ends again.');
+            }
+            return;
+        }
+
+        this.isCalibrating = false;
+        this.removeClickHandler();
+
+        const calibration = {
+            pixelToCmRatio: this.referenceObject.lengthCm / pixelLength,
+            referenceObject: {
+                ...this.referenceObject,
+                pixelLength: pixelLength,
+                points: [...this.points]
+            }
+        };
+
+        console.log('Reference scale calibration complete:', calibration);
+
+        if (this.onCalibrationComplete) {
+            this.onCalibrationComplete(calibration);
+        }
+    }
+
+    /**
+     * Remove canvas click handler
+     */
+    removeClickHandler() {
+        if (this.canvas && this.clickHandler) {
+            this.canvas.removeEventListener('click', this.clickHandler);
+        }
+        this.clickHandler = null;
+    }
+
+    /**
+     * Cancel ongoing calibration
+     */
+    cancelCalibration() {
+        this.isCalibrating = false;
+        this.removeClickHandler();
+        this.points = [];
+    }
+}
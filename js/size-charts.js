@@ -0,0 +1,280 @@
+/**
+ * Size Charts
+ * Brand kit size charts (cm ranges per size) and size recommendations from saved measurements
+ */
+class SizeCharts {
+    constructor() {
+        this.charts = SizeCharts.getDefaultCharts();
+
+        // Ids of charts loaded from a file, including ones that replace a built-in chart
+        this.loadedIds = new Set();
+
+        // Fit score at the edge of a size range; the centre scores 1
+        this.edgeScore = 0.7;
+    }
+
+    /**
+     * Get display labels for the dimensions a chart can use
+     */
+    static getDimensionLabels() {
+        return {
+            chest: 'Chest',
+            waist: 'Waist',
+            hip: 'Hip',
+            inseam: 'Inseam',
+            sleeve: 'Sleeve'
+        };
+    }
+
+    /**
+     * Get the built-in charts
+     * Generic ranges to start from until brand charts are imported
+     */
+    static getDefaultCharts() {
+        return [
+            {
+                id: 'generic-top',
+                brand: 'Generic',
+                label: 'Generic training top',
+                sizes: [
+                    { size: 'XS', chest: [82, 88], waist: [68, 74], sleeve: [54, 57] },
+                    { size: 'S', chest: [88, 96], waist: [74, 82], sleeve: [57, 60] },
+                    { size: 'M', chest: [96, 104], waist: [82, 90], sleeve: [60, 63] },
+                    { size: 'L', chest: [104, 112], waist: [90, 98], sleeve: [63, 66] },
+                    { size: 'XL', chest: [112, 120], waist: [98, 106], sleeve: [66, 68] },
+                    { size: 'XXL', chest: [120, 128], waist: [106, 114], sleeve: [68, 70] }
+                ]
+            },
+            {
+                id: 'generic-pants',
+                brand: 'Generic',
+                label: 'Generic training pants',
+                sizes: [
+                    { size: 'XS', waist: [68, 74], hip: [86, 92], inseam: [74, 76] },
+                    { size: 'S', waist: [74, 82], hip: [92, 98], inseam: [76, 79] },
+                    { size: 'M', waist: [82, 90], hip: [98, 104], inseam: [79, 81] },
+                    { size: 'L', waist: [90, 98], hip: [104, 110], inseam: [81, 84] },
+                    { size: 'XL', waist: [98, 106], hip: [110, 116], inseam: [84, 86] },
+                    { size: 'XXL', waist: [106, 114], hip: [116, 122], inseam: [86, 88] }
+                ]
+            }
+        ];
+    }
+
+    /**
+     * Add or replace charts from parsed JSON (one chart or an array of charts)
+     */
+    loadCharts(data) {
+        const charts = Array.isArray(data) ? data : [data];
+        const dimensions = Object.keys(SizeCharts.getDimensionLabels());
+
+        charts.forEach(chart => {
+            if (!chart || typeof chart.id !== 'string' || !chart.id) {
+                throw new Error('Each size chart needs an id');
+            }
+            if (!Array.isArray(chart.sizes) || chart.sizes.length === 0) {
+                throw new Error(`Size chart "${chart.id}" has no sizes`);
+            }
+
+            chart.sizes.forEach(size => {
+                if (!size.size) {
+                    throw new Error(`Size chart "${chart.id}" has a size without a name`);
+                }
+
+                const ranges = dimensions.filter(dimension => size[dimension]);
+                if (ranges.length === 0) {
+                    throw new Error(`Size ${size.size} in "${chart.id}" has no ranges`);
+                }
+
+                ranges.forEach(dimension => {
+                    const range = size[dimension];
+                    if (!Array.isArray(range) || range.length !== 2 || !(range[0] < range[1])) {
+                        throw new Error(`Size ${size.size} in "${chart.id}" has an invalid ${dimension} range`);
+                    }
+                });
+            });
+        });
+
+        charts.forEach(chart => {
+            const normalized = {
+                brand: '',
+                label: chart.id,
+                ...chart
+            };
+
+            const index = this.charts.findIndex(existing => existing.id === chart.id);
+            if (index >= 0) {
+                this.charts[index] = normalized;
+            } else {
+                this.charts.push(normalized);
+            }
+            this.loadedIds.add(chart.id);
+        });
+
+        return charts.length;
+    }
+
+    /**
+     * Parse a CSV chart file into charts
+     * Columns: chart, brand, size, then <dimension>Min and <dimension>Max for any dimensions used
+     */
+    static parseCSV(text) {
+        const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line);
+        if (lines.length < 2) {
+            throw new Error('Size chart CSV needs a header row and at least one size');
+        }
+
+        const header = lines[0].split(',').map(column => column.trim());
+        ['chart', 'size'].forEach(column => {
+            if (!header.includes(column)) {
+                throw new Error(`Size chart CSV is missing the "${column}" column`);
+            }
+        });
+
+        const charts = {};
+        lines.slice(1).forEach(line => {
+            const values = line.split(',').map(value => value.trim());
+            const row = {};
+            header.forEach((column, index) => {
+                row[column] = values[index];
+            });
+
+            const chart = charts[row.chart] = charts[row.chart] || {
+                id: row.chart,
+                brand: row.brand || '',
+                label: row.label || row.chart,
+                sizes: []
+            };
+
+            const size = { size: row.size };
+            Object.keys(SizeCharts.getDimensionLabels()).forEach(dimension => {
+                const min = parseFloat(row[`${dimension}Min`]);
+                const max = parseFloat(row[`${dimension}Max`]);
+                if (!isNaN(min) && !isNaN(max)) {
+                    size[dimension] = [min, max];
+                }
+            });
+            chart.sizes.push(size);
+        });
+
+        return Object.values(charts);
+    }
+
+    /**
+     * Get charts that were loaded on top of the built-in ones, including replaced built-in charts
+     */
+    getCustomCharts() {
+        return this.charts.filter(chart => this.loadedIds.has(chart.id));
+    }
+
+    /**
+     * Find a chart by id
+     */
+    getChart(chartId) {
+        return this.charts.find(chart => chart.id === chartId) || null;
+    }
+
+    /**
+     * Get the body dimensions a saved measurement provides for sizing
+     * Sleeve is shoulder to wrist (upper arm + forearm)
+     */
+    static getAthleteDimensions(measurement) {
+        const segments = measurement.segments || {};
+        const circumferences = measurement.circumferences || {};
+
+        return {
+            chest: circumferences.chest || null,
+            waist: circumferences.waist || null,
+            hip: circumferences.hip || null,
+            inseam: segments.inseam || null,
+            sleeve: segments.upperArm && segments.forearm ? segments.upperArm + segments.forearm : null
+        };
+    }
+
+    /**
+     * Recommend a size from a chart for a set of body dimensions
+     * Confidence is the best size's fit score scaled by how many chart dimensions were measured
+     */
+    recommendSize(chart, dimensions) {
+        const chartDimensions = Object.keys(SizeCharts.getDimensionLabels())
+            .filter(dimension => chart.sizes.some(size => size[dimension]));
+        const measured = chartDimensions.filter(dimension => dimensions[dimension]);
+
+        if (measured.length === 0) {
+            return null;
+        }
+
+        const scored = chart.sizes.map(size => {
+            const fits = {};
+            measured.filter(dimension => size[dimension]).forEach(dimension => {
+                fits[dimension] = this.scoreDimension(dimensions[dimension], size[dimension]);
+            });
+
+            const scores = Object.values(fits).map(fit => fit.score);
+            return {
+                size: size.size,
+                fits: fits,
+                score: scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : 0
+            };
+        });
+
+        const best = scored.reduce((a, b) => b.score > a.score ? b : a);
+        const coverage = measured.length / chartDimensions.length;
+
+        return {
+            chartId: chart.id,
+            size: best.size,
+            confidence: best.score * coverage,
+            fits: best.fits,
+            coverage: coverage,
+            missing: chartDimensions.filter(dimension => !dimensions[dimension])
+        };
+    }
+
+    /**
+     * Score how well one body dimension fits a [min, max] range
+     * Inside the range scores from 1 at the centre down to edgeScore at the edges; outside it
+     * falls to 0 half a range width beyond the edge
+     */
+    scoreDimension(value, range) {
+        const [min, max] = range;
+        const halfWidth = (max - min) / 2;
+        const centre = min + halfWidth;
+
+        let status = 'ok';
+        let score;
+
+        if (value < min || value > max) {
+            status = value > max ? 'small' : 'large';  // Garment small or large for the athlete
+            const distance = value > max ? value - max : min - value;
+            score = Math.max(0, this.edgeScore - distance / halfWidth * this.edgeScore);
+        } else {
+            score = 1 - (1 - this.edgeScore) * Math.abs(value - centre) / halfWidth;
+        }
+
+        return {
+            value: value,
+            min: min,
+            max: max,
+            status: status,
+            score: score
+        };
+    }
+
+    /**
+     * Pick each athlete's latest saved measurement
+     * Measurements are stored newest first; records without a name are grouped together
+     */
+    static getLatestByAthlete(savedMeasurements) {
+        const latest = {};
+
+        savedMeasurements.forEach(measurement => {
+            const name = measurement.athleteName || 'Unnamed athlete';
+            if (!latest[name] || measurement.timestamp > latest[name].timestamp) {
+                latest[name] = measurement;
+            }
+        });
+
+        return Object.keys(latest).sort().map(name => ({ athleteName: name, measurement: latest[name] }));
+    }
+}
@@ -271,6 +271,32 @@ class SmoothingUtils {
         return result;
     }
 
+    /**
+     * Median of an array of values
+     */
+    static median(data) {
+        if (data.length === 0) return null;
+        
+        const sorted = [...data].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        
+        return sorted.length % 2 === 0 ?
+            (sorted[middle - 1] + sorted[middle]) / 2 :
+            sorted[middle];
+    }
+
+    /**
+     * Sample standard deviation of an array of values
+     */
+    static standardDeviation(data) {
+        if (data.length < 2) return 0;
+        
+        const mean = data.reduce((sum, value) => sum + value, 0) / data.length;
+        const variance = data.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (data.length - 1);
+        
+        return Math.sqrt(variance);
+    }
+
     /**
      * Remove outliers using median filter
      */
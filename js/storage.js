@@ -7,7 +7,12 @@ class MeasurementStorage {
         this.storageKeys = {
             measurements: 'bodyMeasurements',
             userHeight: 'userHeight',
-            settings: 'appSettings'
+            settings: 'appSettings',
+            normTables: 'normTables',
+            romSessions: 'romSessions',
+            postureAssessments: 'postureAssessments',
+            sizeCharts: 'sizeCharts',
+            bikeFitSessions: 'bikeFitSessions'
         };
         
         // Initialize storage structure if not exists
@@ -37,7 +42,19 @@ class MeasurementStorage {
                     unit: 'cm',
                     theme: 'light',
                     savePhotos: false,
-                    maxSavedMeasurements: 50
+                    maxSavedMeasurements: 50,
+                    asymmetryThreshold: 5,
+                    burstFrameCount: 10,
+                    burstDurationMs: 2000,
+                    burstMinConfidence: 0.7,
+                    movingFrameCount: 30,
+                    movingDurationMs: 6000,
+                    measurementMode: '2d',
+                    poseGateMode: 'gate',
+                    poseCheckIntervalMs: 300,
+                    autoCaptureHoldMs: 1000,
+                    analysisMode: 'segments',
+                    growthSpurtThreshold: 7
                 };
                 localStorage.setItem(this.storageKeys.settings, JSON.stringify(defaultSettings));
             }
@@ -234,6 +251,250 @@ class MeasurementStorage {
         }
     }
 
+    /**
+     * Save loaded norm tables
+     */
+    saveNormTables(tables) {
+        try {
+            if (this.isLocalStorageAvailable()) {
+                localStorage.setItem(this.storageKeys.normTables, JSON.stringify(tables));
+            } else {
+                this.memoryStorage.normTables = tables;
+            }
+            return true;
+        } catch (error) {
+            console.error('Failed to save norm tables:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get loaded norm tables
+     */
+    getNormTables() {
+        try {
+            if (this.isLocalStorageAvailable()) {
+                const tables = localStorage.getItem(this.storageKeys.normTables);
+                return tables ? JSON.parse(tables) : [];
+            } else {
+                return this.memoryStorage.normTables || [];
+            }
+        } catch (error) {
+            console.error('Failed to get norm tables:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save a range-of-motion session
+     */
+    saveRomSession(session) {
+        try {
+            const sessions = this.getRomSessions();
+
+            const sessionToSave = {
+                ...session,
+                id: this.generateMeasurementId(),
+                timestamp: session.timestamp || Date.now()
+            };
+
+            // Newest first, same limit as measurements
+            sessions.unshift(sessionToSave);
+
+            const maxSaved = this.getSettings().maxSavedMeasurements || 50;
+            if (sessions.length > maxSaved) {
+                sessions.splice(maxSaved);
+            }
+
+            if (this.isLocalStorageAvailable()) {
+                localStorage.setItem(this.storageKeys.romSessions, JSON.stringify(sessions));
+            } else {
+                this.memoryStorage.romSessions = sessions;
+            }
+
+            return sessionToSave.id;
+
+        } catch (error) {
+            console.error('Failed to save range-of-motion session:', error);
+            throw new Error('Failed to save range-of-motion session');
+        }
+    }
+
+    /**
+     * Get saved range-of-motion sessions
+     */
+    getRomSessions() {
+        try {
+            if (this.isLocalStorageAvailable()) {
+                const sessions = localStorage.getItem(this.storageKeys.romSessions);
+                return sessions ? JSON.parse(sessions) : [];
+            } else {
+                return this.memoryStorage.romSessions || [];
+            }
+        } catch (error) {
+            console.error('Failed to get range-of-motion sessions:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Delete a range-of-motion session by ID
+     */
+    deleteRomSession(id) {
+        try {
+            const sessions = this.getRomSessions().filter(session => session.id !== id);
+
+            if (this.isLocalStorageAvailable()) {
+                localStorage.setItem(this.storageKeys.romSessions, JSON.stringify(sessions));
+            } else {
+                this.memoryStorage.romSessions = sessions;
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Failed to delete range-of-motion session:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Save a posture assessment
+     */
+    savePostureAssessment(assessment) {
+        try {
+            const assessments = this.getPostureAssessments();
+
+            const assessmentToSave = {
+                ...assessment,
+                id: this.generateMeasurementId(),
+                timestamp: assessment.timestamp || Date.now()
+            };
+
+            // Newest first, same limit as measurements
+            assessments.unshift(assessmentToSave);
+
+            const maxSaved = this.getSettings().maxSavedMeasurements || 50;
+            if (assessments.length > maxSaved) {
+                assessments.splice(maxSaved);
+            }
+
+            if (this.isLocalStorageAvailable()) {
+                localStorage.setItem(this.storageKeys.postureAssessments, JSON.stringify(assessments));
+            } else {
+                this.memoryStorage.postureAssessments = assessments;
+            }
+
+            return assessmentToSave.id;
+
+        } catch (error) {
+            console.error('Failed to save posture assessment:', error);
+            throw new Error('Failed to save posture assessment');
+        }
+    }
+
+    /**
+     * Get saved posture assessments
+     */
+    getPostureAssessments() {
+        try {
+            if (this.isLocalStorageAvailable()) {
+                const assessments = localStorage.getItem(this.storageKeys.postureAssessments);
+                return assessments ? JSON.parse(assessments) : [];
+            } else {
+                return this.memoryStorage.postureAssessments || [];
+            }
+        } catch (error) {
+            console.error('Failed to get posture assessments:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save imported size charts
+     */
+    saveSizeCharts(charts) {
+        try {
+            if (this.isLocalStorageAvailable()) {
+                localStorage.setItem(this.storageKeys.sizeCharts, JSON.stringify(charts));
+            } else {
+                this.memoryStorage.sizeCharts = charts;
+            }
+            return true;
+        } catch (error) {
+            console.error('Failed to save size charts:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get imported size charts
+     */
+    getSizeCharts() {
+        try {
+            if (this.isLocalStorageAvailable()) {
+                const charts = localStorage.getItem(this.storageKeys.sizeCharts);
+                return charts ? JSON.parse(charts) : [];
+            } else {
+                return this.memoryStorage.sizeCharts || [];
+            }
+        } catch (error) {
+            console.error('Failed to get size charts:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save a bike fit session
+     */
+    saveBikeFitSession(session) {
+        try {
+            const sessions = this.getBikeFitSessions();
+
+            const sessionToSave = {
+                ...session,
+                id: this.generateMeasurementId(),
+                timestamp: session.timestamp || Date.now()
+            };
+
+            // Newest first, same limit as measurements
+            sessions.unshift(sessionToSave);
+
+            const maxSaved = this.getSettings().maxSavedMeasurements || 50;
+            if (sessions.length > maxSaved) {
+                sessions.splice(maxSaved);
+            }
+
+            if (this.isLocalStorageAvailable()) {
+                localStorage.setItem(this.storageKeys.bikeFitSessions, JSON.stringify(sessions));
+            } else {
+                this.memoryStorage.bikeFitSessions = sessions;
+            }
+
+            return sessionToSave.id;
+
+        } catch (error) {
+            console.error('Failed to save bike fit session:', error);
+            throw new Error('Failed to save bike fit session');
+        }
+    }
+
+    /**
+     * Get saved bike fit sessions
+     */
+    getBikeFitSessions() {
+        try {
+            if (this.isLocalStorageAvailable()) {
+                const sessions = localStorage.getItem(this.storageKeys.bikeFitSessions);
+                return sessions ? JSON.parse(sessions) : [];
+            } else {
+                return this.memoryStorage.bikeFitSessions || [];
+            }
+        } catch (error) {
+            console.error('Failed to get bike fit sessions:', error);
+            return [];
+        }
+    }
+
     /**
      * Export measurements data
      */
@@ -434,7 +695,8 @@ class MeasurementStorage {
         return {
             'broad-jump': this.getTestResults('broad-jump'),
             'sprint': this.getTestResults('sprint'),
-            'kick': this.getTestResults('kick')
+            'kick': this.getTestResults('kick'),
+            'vertical-jump': this.getTestResults('vertical-jump')
         };
     }
 }